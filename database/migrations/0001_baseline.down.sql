@@ -0,0 +1,27 @@
+-- Migration 0001: Baseline (down)
+-- Drops the whole schema, including every member, balance and ledger row. Take a backup first.
+
+DROP VIEW IF EXISTS member_summary;
+
+DROP TABLE IF EXISTS pending_grants;
+DROP TABLE IF EXISTS member_imports;
+DROP TABLE IF EXISTS credit_grant_batch_members;
+DROP TABLE IF EXISTS credit_grant_batches;
+DROP TABLE IF EXISTS admin_audit_log;
+DROP TABLE IF EXISTS admin_roles;
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS tier_changes;
+DROP TABLE IF EXISTS member_plan_bonuses;
+DROP TABLE IF EXISTS credit_grants;
+DROP TABLE IF EXISTS scheduled_job_runs;
+DROP TABLE IF EXISTS action_pricing;
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS credit_holds;
+DROP TABLE IF EXISTS processed_purchase_tags;
+DROP TABLE IF EXISTS credit_history;
+DROP TABLE IF EXISTS app_actions;
+DROP TABLE IF EXISTS member_credits;
+DROP TABLE IF EXISTS members;
+
+DROP FUNCTION IF EXISTS log_credit_change();
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,472 @@
+-- Migration 0001: Baseline
+-- The complete schema as of the introduction of versioned migrations (formerly database/schema.sql).
+-- Every statement is safe to re-run, so installs created from schema.sql can apply this migration
+-- to start tracking versions without losing data.
+
+-- Enable useful extensions
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Table 1: Members (Core User Table)
+-- Stores essential member information synchronized from Circle API
+CREATE TABLE IF NOT EXISTS members (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    circle_member_id BIGINT NOT NULL UNIQUE, -- Foreign key to Circle's system
+    circle_user_id BIGINT,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    avatar_url TEXT,
+    is_admin BOOLEAN DEFAULT FALSE,
+    is_moderator BOOLEAN DEFAULT FALSE,
+    is_paid BOOLEAN DEFAULT FALSE, -- Determined by tags or Circle API data
+    tags JSONB, -- Store the member_tags array here
+    first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 2: Member Credits (Credit System)
+-- Separates credit logic for flexibility and complex operations
+CREATE TABLE IF NOT EXISTS member_credits (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL UNIQUE REFERENCES members(id) ON DELETE CASCADE,
+    credits_balance INT NOT NULL DEFAULT 0,
+    last_refreshed_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 3: App Actions (Activity Log)
+-- Generic table to log actions users take that consume credits
+CREATE TABLE IF NOT EXISTS app_actions (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    action_type VARCHAR(50) NOT NULL, -- e.g., 'generate_image', 'send_message', 'api_call'
+    credits_cost INT NOT NULL DEFAULT 1,
+    metadata JSONB, -- Store prompts, URLs, message content, etc.
+    success BOOLEAN DEFAULT TRUE, -- Whether the action succeeded
+    error_message TEXT, -- Store error details if action failed
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 4: Credit History (Audit Trail)
+-- Track all credit changes for transparency and debugging
+CREATE TABLE IF NOT EXISTS credit_history (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    change_amount INT NOT NULL, -- Positive for credits added, negative for credits spent
+    change_type VARCHAR(50) NOT NULL, -- 'initial_grant', 'monthly_refresh', 'action_cost', 'manual_adjustment', 'purchase'
+    balance_after INT NOT NULL, -- Balance after this change
+    reference_id BIGINT, -- Reference to app_actions.id if related to an action
+    notes TEXT, -- Additional context
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table 5: Processed Purchase Tags (Audit Log for Purchases)
+-- This table tracks one-time purchase tags that grant credits. It's an audit log.
+CREATE TABLE IF NOT EXISTS processed_purchase_tags (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    tag_value VARCHAR(100) NOT NULL, -- The tag like "$10", "$50", "100"
+    credits_granted INT NOT NULL, -- Number of credits granted for this tag
+    processed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_members_circle_member_id ON members(circle_member_id);
+CREATE INDEX IF NOT EXISTS idx_members_email ON members(email);
+CREATE INDEX IF NOT EXISTS idx_members_last_seen ON members(last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_member_credits_member_id ON member_credits(member_id);
+CREATE INDEX IF NOT EXISTS idx_member_credits_last_refreshed ON member_credits(last_refreshed_at);
+CREATE INDEX IF NOT EXISTS idx_app_actions_member_id ON app_actions(member_id);
+CREATE INDEX IF NOT EXISTS idx_app_actions_created_at ON app_actions(created_at);
+CREATE INDEX IF NOT EXISTS idx_app_actions_action_type ON app_actions(action_type);
+CREATE INDEX IF NOT EXISTS idx_credit_history_member_id ON credit_history(member_id);
+CREATE INDEX IF NOT EXISTS idx_credit_history_created_at ON credit_history(created_at);
+CREATE INDEX IF NOT EXISTS idx_processed_tags_member_tag ON processed_purchase_tags(member_id, tag_value);
+CREATE INDEX IF NOT EXISTS idx_processed_purchase_tags_processed_at ON processed_purchase_tags(processed_at);
+
+-- Function to automatically update updated_at timestamps
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_members_updated_at ON members;
+CREATE TRIGGER update_members_updated_at BEFORE UPDATE ON members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_member_credits_updated_at ON member_credits;
+CREATE TRIGGER update_member_credits_updated_at BEFORE UPDATE ON member_credits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to log credit changes (Note: The app logic in server.js handles this manually now for better context)
+-- The trigger below is kept as a fallback/safety net.
+CREATE OR REPLACE FUNCTION log_credit_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Only log if credits_balance actually changed
+    IF (TG_OP = 'UPDATE' AND OLD.credits_balance != NEW.credits_balance) THEN
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
+        VALUES (
+            NEW.member_id,
+            NEW.credits_balance - OLD.credits_balance,
+            CASE 
+                WHEN NEW.credits_balance > OLD.credits_balance THEN 'credit_addition'
+                ELSE 'credit_deduction'
+            END,
+            NEW.credits_balance,
+            'Automatic log from credit balance change'
+        );
+    ELSIF (TG_OP = 'INSERT') THEN
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
+        VALUES (
+            NEW.member_id,
+            NEW.credits_balance,
+            'initial_grant',
+            NEW.credits_balance,
+            'Initial credit grant for new member'
+        );
+    END IF;
+    
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ language 'plpgsql';
+
+-- Trigger to automatically log credit changes
+DROP TRIGGER IF EXISTS log_member_credits_changes ON member_credits;
+CREATE TRIGGER log_member_credits_changes 
+    AFTER INSERT OR UPDATE ON member_credits 
+    FOR EACH ROW EXECUTE FUNCTION log_credit_change();
+
+-- View for member summary (convenient for queries)
+CREATE OR REPLACE VIEW member_summary AS
+SELECT 
+    m.id,
+    m.circle_member_id,
+    m.email,
+    m.name,
+    m.avatar_url,
+    m.is_admin,
+    m.is_moderator,
+    m.is_paid,
+    m.tags,
+    m.first_seen_at,
+    m.last_seen_at,
+    COALESCE(mc.credits_balance, 0) as credits_balance,
+    mc.last_refreshed_at as credits_last_refreshed,
+    (SELECT COUNT(*) FROM app_actions WHERE member_id = m.id) as total_actions,
+    (SELECT COALESCE(SUM(credits_cost), 0) FROM app_actions WHERE member_id = m.id AND success = true) as total_credits_spent
+FROM members m
+LEFT JOIN member_credits mc ON m.id = mc.member_id;
+
+-- Comments for tables and views
+COMMENT ON TABLE members IS 'Core member data synchronized from Circle API';
+COMMENT ON TABLE member_credits IS 'Credit balance and refresh tracking for each member';
+COMMENT ON TABLE app_actions IS 'Log of all actions taken by members that may consume credits';
+COMMENT ON TABLE credit_history IS 'Audit trail of all credit balance changes';
+COMMENT ON TABLE processed_purchase_tags IS 'Audit log of purchase tags that have been processed. Tags are deleted from Circle after processing, allowing immediate repurchase.';
+COMMENT ON VIEW member_summary IS 'Convenient view combining member data with credit information';
+-- Migration: Refunds for credit spends
+-- A refunded action is marked failed (success = false) with refunded_at set, and
+-- its credits are returned through a 'refund' credit_history row referencing the action.
+ALTER TABLE app_actions ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+-- Guarantees at most one refund per action, even under concurrent requests
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_history_refund_reference
+    ON credit_history(reference_id) WHERE change_type = 'refund';
+
+COMMENT ON COLUMN app_actions.refunded_at IS 'When the action was refunded; NULL if never refunded';
+
+-- Migration: Two-phase credit reservations (holds)
+-- A hold reserves credits for a long-running action: they remain in credits_balance
+-- but count towards credits_held, so available credits = credits_balance - credits_held.
+-- Holds are captured (final cost deducted), released, or expire automatically.
+ALTER TABLE member_credits ADD COLUMN IF NOT EXISTS credits_held INT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS credit_holds (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    action_id BIGINT REFERENCES app_actions(id) ON DELETE SET NULL, -- The action this hold pays for
+    action_type VARCHAR(50) NOT NULL,
+    amount_held INT NOT NULL CHECK (amount_held > 0),
+    amount_captured INT, -- Final cost, set on capture
+    status VARCHAR(20) NOT NULL DEFAULT 'held', -- 'held', 'captured', 'released', 'expired'
+    metadata JSONB,
+    expires_at TIMESTAMPTZ NOT NULL,
+    resolved_at TIMESTAMPTZ, -- When the hold was captured, released or expired
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_holds_member_id ON credit_holds(member_id);
+CREATE INDEX IF NOT EXISTS idx_credit_holds_action_id ON credit_holds(action_id);
+CREATE INDEX IF NOT EXISTS idx_credit_holds_active_expiry ON credit_holds(expires_at) WHERE status = 'held';
+
+COMMENT ON TABLE credit_holds IS 'Two-phase credit reservations: hold, then capture a final amount or release';
+COMMENT ON COLUMN member_credits.credits_held IS 'Credits reserved by active holds; not available for spending';
+
+-- Migration: Idempotency keys for credit spends and admin grants
+-- Stores the first response for each (member, endpoint, key) so retried requests
+-- are replayed instead of changing member_credits again.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL, -- Endpoint the key was used on, e.g. 'credits_spend', 'admin_refresh_credits'
+    idempotency_key VARCHAR(255) NOT NULL,
+    response_status INT,
+    response_body JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (member_id, scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses for idempotent credit requests, retained for IDEMPOTENCY_KEY_TTL_HOURS';
+
+-- Migration: Action pricing catalog
+-- Server-side prices for each action type; /api/credits/spend and credit holds
+-- reject action types not listed here (or inactive) and ignore client-supplied costs.
+CREATE TABLE IF NOT EXISTS action_pricing (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    action_type VARCHAR(50) NOT NULL UNIQUE, -- Matches app_actions.action_type
+    name VARCHAR(255), -- Display name for the admin panel
+    description TEXT,
+    credits_cost_free INT NOT NULL CHECK (credits_cost_free >= 0), -- Price for free members
+    credits_cost_paid INT NOT NULL CHECK (credits_cost_paid >= 0), -- Price for paid members
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE action_pricing IS 'Catalog of action types members can spend credits on, with free and paid prices';
+
+-- Migration: Scheduled job runs
+-- Records each run of in-process background jobs (e.g. 'monthly_refresh') for admin status.
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    job_name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL, -- 'running', 'succeeded', 'failed'
+    summary JSONB, -- Job-specific results, e.g. members refreshed and credits granted
+    error_message TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job_started ON scheduled_job_runs(job_name, started_at DESC);
+
+COMMENT ON TABLE scheduled_job_runs IS 'History of background job runs and their results';
+
+-- Migration: Credit grant buckets
+-- Every credit addition is a bucket with its own expiry; spends consume the
+-- soonest-expiring buckets first. SUM(amount_remaining) per member equals credits_balance.
+CREATE TABLE IF NOT EXISTS credit_grants (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    source_type VARCHAR(50) NOT NULL, -- 'initial', 'monthly', 'purchase', 'admin_bonus', 'adjustment', 'import', 'refund', 'legacy'
+    amount_granted INT NOT NULL CHECK (amount_granted > 0),
+    amount_remaining INT NOT NULL CHECK (amount_remaining >= 0),
+    expires_at TIMESTAMPTZ, -- NULL = never expires
+    credit_history_id BIGINT REFERENCES credit_history(id) ON DELETE SET NULL, -- The grant that opened this bucket
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_grants_member_open ON credit_grants(member_id, expires_at) WHERE amount_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_credit_grants_open_expiry ON credit_grants(expires_at) WHERE amount_remaining > 0;
+
+-- Existing balances become a single non-expiring 'legacy' bucket per member
+INSERT INTO credit_grants (member_id, source_type, amount_granted, amount_remaining)
+SELECT mc.member_id, 'legacy', mc.credits_balance, mc.credits_balance
+FROM member_credits mc
+WHERE mc.credits_balance > 0
+  AND NOT EXISTS (SELECT 1 FROM credit_grants cg WHERE cg.member_id = mc.member_id);
+
+COMMENT ON TABLE credit_grants IS 'Credit grant buckets with per-source expiry; expirations are logged to credit_history as expiry rows';
+
+-- Migration: Membership plans
+-- Plans are defined in config/plans.json (or built from PAID_MEMBER_TAGS);
+-- members.plan stores the key of the plan resolved from the member's Circle tags at login.
+ALTER TABLE members ADD COLUMN IF NOT EXISTS plan VARCHAR(50);
+
+-- Existing members map onto the default Free/Paid plans until their next login
+UPDATE members SET plan = CASE WHEN is_paid THEN 'paid' ELSE 'free' END WHERE plan IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_members_plan ON members(plan);
+
+COMMENT ON COLUMN members.plan IS 'Key of the membership plan resolved from Circle tags; is_paid mirrors the plan''s is_paid flag';
+
+-- Migration: Plan change handling
+-- member_plan_bonuses records the upgrade bonus granted for each plan, so moving
+-- down and back up again doesn't grant it twice. tier_changes is the audit trail.
+CREATE TABLE IF NOT EXISTS member_plan_bonuses (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    plan VARCHAR(50) NOT NULL, -- Plan the bonus was granted for
+    credits_granted INT NOT NULL,
+    credit_history_id BIGINT REFERENCES credit_history(id) ON DELETE SET NULL,
+    granted_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (member_id, plan)
+);
+
+CREATE TABLE IF NOT EXISTS tier_changes (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    from_plan VARCHAR(50) NOT NULL,
+    to_plan VARCHAR(50) NOT NULL,
+    direction VARCHAR(20) NOT NULL, -- 'upgrade', 'downgrade'
+    policy VARCHAR(20), -- Downgrade policy applied: 'keep', 'cap', 'clawback'
+    credits_change INT NOT NULL DEFAULT 0, -- Bonus granted (positive) or credits removed (negative)
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tier_changes_member_id ON tier_changes(member_id);
+CREATE INDEX IF NOT EXISTS idx_tier_changes_created_at ON tier_changes(created_at DESC);
+
+-- Bonuses granted before this migration were all free -> paid upgrades
+INSERT INTO member_plan_bonuses (member_id, plan, credits_granted, credit_history_id, granted_at)
+SELECT DISTINCT ON (member_id) member_id, 'paid', change_amount, id, created_at
+FROM credit_history
+WHERE change_type = 'upgrade_bonus'
+ORDER BY member_id, created_at
+ON CONFLICT (member_id, plan) DO NOTHING;
+
+COMMENT ON TABLE member_plan_bonuses IS 'Upgrade bonuses already granted per member and plan; each plan''s bonus is granted at most once';
+COMMENT ON TABLE tier_changes IS 'Audit trail of member plan changes and the credits granted or removed';
+
+-- Migration: Persistent admin sessions
+-- Replaces the in-memory admin token map. Only a SHA-256 hash of each token is stored;
+-- expires_at slides forward on use up to ADMIN_SESSION_MAX_HOURS after creation.
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_by BIGINT REFERENCES members(id) ON DELETE SET NULL -- Admin who revoked it (themselves on logout)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_member_id ON admin_sessions(member_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_active ON admin_sessions(expires_at) WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE admin_sessions IS 'Admin panel sessions; tokens are stored hashed and can be revoked';
+
+-- Migration: Admin roles
+-- Staff are members Circle marks as admins or moderators. Without a row here, Circle
+-- admins get 'owner' and moderators get MODERATOR_DEFAULT_ROLE (default 'support').
+CREATE TABLE IF NOT EXISTS admin_roles (
+    member_id BIGINT PRIMARY KEY REFERENCES members(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'support', 'finance', 'owner')),
+    assigned_by BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE admin_roles IS 'Admin panel role overrides for Circle admins and moderators';
+
+-- Migration: Admin audit log
+-- One row per non-GET /api/admin request, written after the response is sent.
+-- Tokens, secrets and passwords are redacted from request_payload before storage.
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    admin_member_id BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    admin_email VARCHAR(255), -- Kept even if the admin's member row is deleted
+    admin_role VARCHAR(20),
+    admin_session_id BIGINT,
+    action VARCHAR(255) NOT NULL, -- Method and route, e.g. 'POST /api/admin/refresh-credits'
+    target_member_id BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    request_path TEXT,
+    request_payload JSONB,
+    balance_before INT,
+    balance_after INT,
+    details JSONB, -- Route-specific context, e.g. pricing before and after an update
+    response_status INT,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin_member_id ON admin_audit_log(admin_member_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target_member_id ON admin_audit_log(target_member_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action);
+
+COMMENT ON TABLE admin_audit_log IS 'Who did what in the admin API, to whom, and with what result';
+
+-- Migration: Bulk credit grants
+-- A batch grants the same amount to every member of a segment (snapshotted when the batch starts),
+-- one member per transaction, and can be reversed as a whole.
+CREATE TABLE IF NOT EXISTS credit_grant_batches (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    amount INT NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    segment JSONB NOT NULL, -- Filters used to select the members
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'running', 'completed', 'reversing', 'reversed'
+    member_count INT NOT NULL DEFAULT 0,
+    granted_count INT NOT NULL DEFAULT 0,
+    failed_count INT NOT NULL DEFAULT 0,
+    credits_reversed INT NOT NULL DEFAULT 0,
+    created_by BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    reversal_reason TEXT,
+    reversed_by BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    reversed_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS credit_grant_batch_members (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    batch_id BIGINT NOT NULL REFERENCES credit_grant_batches(id) ON DELETE CASCADE,
+    member_id BIGINT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'granted', 'failed', 'reversed'
+    credit_history_id BIGINT REFERENCES credit_history(id) ON DELETE SET NULL, -- The grant, and through it the grant bucket
+    error_message TEXT,
+    credits_reversed INT NOT NULL DEFAULT 0, -- Less than the batch amount if the member already spent some
+    processed_at TIMESTAMPTZ,
+    reversed_at TIMESTAMPTZ,
+    UNIQUE (batch_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_grant_batches_status ON credit_grant_batches(status);
+CREATE INDEX IF NOT EXISTS idx_credit_grant_batch_members_batch_status ON credit_grant_batch_members(batch_id, status);
+
+COMMENT ON TABLE credit_grant_batches IS 'Bulk credit grants to a segment of members, with reversal tracking';
+COMMENT ON TABLE credit_grant_batch_members IS 'Per-member results of a bulk credit grant';
+
+-- Migration: Member imports
+-- Imported rows wait in pending_grants until a member with that email (or Circle member ID)
+-- logs in for the first time, when /api/auth grants the credits and marks the row applied.
+CREATE TABLE IF NOT EXISTS member_imports (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    filename VARCHAR(255),
+    row_count INT NOT NULL,
+    total_credits INT NOT NULL,
+    created_by BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pending_grants (
+    id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+    import_id BIGINT NOT NULL REFERENCES member_imports(id) ON DELETE CASCADE,
+    line_number INT NOT NULL, -- Row in the import file, for error reports and support questions
+    email VARCHAR(255) NOT NULL,
+    circle_member_id BIGINT,
+    credits INT NOT NULL CHECK (credits >= 0),
+    tier VARCHAR(50), -- Plan key from the file; the member's actual plan still comes from their Circle tags
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    applied_at TIMESTAMPTZ,
+    applied_member_id BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    credit_history_id BIGINT REFERENCES credit_history(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_grants_email ON pending_grants(LOWER(email)) WHERE applied_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_pending_grants_circle_member_id ON pending_grants(circle_member_id) WHERE applied_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_pending_grants_import_id ON pending_grants(import_id);
+
+COMMENT ON TABLE member_imports IS 'CSV imports that pre-provision credits for members who have not logged in yet';
+COMMENT ON TABLE pending_grants IS 'Imported credits waiting for the member''s first login';
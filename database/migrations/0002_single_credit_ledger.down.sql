@@ -0,0 +1,40 @@
+-- Migration 0002: One credit_history row per balance change (down)
+-- Restores the fallback trigger, which logs a generic row on every balance change.
+-- Run this together with a server.js from before 0002, which writes its own rows as well.
+
+CREATE OR REPLACE FUNCTION log_credit_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Only log if credits_balance actually changed
+    IF (TG_OP = 'UPDATE' AND OLD.credits_balance != NEW.credits_balance) THEN
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
+        VALUES (
+            NEW.member_id,
+            NEW.credits_balance - OLD.credits_balance,
+            CASE 
+                WHEN NEW.credits_balance > OLD.credits_balance THEN 'credit_addition'
+                ELSE 'credit_deduction'
+            END,
+            NEW.credits_balance,
+            'Automatic log from credit balance change'
+        );
+    ELSIF (TG_OP = 'INSERT') THEN
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
+        VALUES (
+            NEW.member_id,
+            NEW.credits_balance,
+            'initial_grant',
+            NEW.credits_balance,
+            'Initial credit grant for new member'
+        );
+    END IF;
+    
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ language 'plpgsql';
+
+DROP INDEX IF EXISTS idx_credit_history_duplicate_of;
+ALTER TABLE credit_history DROP COLUMN IF EXISTS duplicate_of;
+ALTER TABLE credit_history DROP COLUMN IF EXISTS actor;
+
+COMMENT ON TABLE credit_history IS 'Audit trail of all credit balance changes';
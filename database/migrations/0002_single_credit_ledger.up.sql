@@ -0,0 +1,64 @@
+-- Migration 0002: One credit_history row per balance change
+-- log_credit_change() used to write a generic 'Automatic log from credit balance change' row next to
+-- the row server.js wrote itself, so every change was in the ledger twice (and every new member got
+-- a 0-credit 'Initial credit grant for new member' row). The trigger is now the only writer for
+-- balance changes. The app passes the context of a change in transaction-local settings:
+--   app.credit_change_type, app.credit_notes, app.credit_reference_id, app.credit_actor
+-- and reads the new row's ID back from app.credit_history_id. Changes made without context
+-- (e.g. a manual UPDATE in psql) are still logged as credit_addition / credit_deduction.
+--
+-- Historical duplicates are left in place; run `npm run ledger:flag-duplicates` to mark them.
+
+ALTER TABLE credit_history ADD COLUMN IF NOT EXISTS actor VARCHAR(255); -- 'system', 'member <email>' or 'admin <email>'
+ALTER TABLE credit_history ADD COLUMN IF NOT EXISTS duplicate_of BIGINT REFERENCES credit_history(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_credit_history_duplicate_of ON credit_history(duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION log_credit_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    context_change_type TEXT := NULLIF(current_setting('app.credit_change_type', true), '');
+    context_notes TEXT := NULLIF(current_setting('app.credit_notes', true), '');
+    context_reference_id TEXT := NULLIF(current_setting('app.credit_reference_id', true), '');
+    context_actor TEXT := NULLIF(current_setting('app.credit_actor', true), '');
+    history_id BIGINT;
+BEGIN
+    -- Only log if credits_balance actually changed; new members start at 0
+    IF (TG_OP = 'UPDATE' AND OLD.credits_balance = NEW.credits_balance)
+        OR (TG_OP = 'INSERT' AND NEW.credits_balance = 0) THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes, actor)
+    VALUES (
+        NEW.member_id,
+        NEW.credits_balance - CASE WHEN TG_OP = 'UPDATE' THEN OLD.credits_balance ELSE 0 END,
+        COALESCE(
+            context_change_type,
+            CASE
+                WHEN TG_OP = 'INSERT' THEN 'initial_grant'
+                WHEN NEW.credits_balance > OLD.credits_balance THEN 'credit_addition'
+                ELSE 'credit_deduction'
+            END
+        ),
+        NEW.credits_balance,
+        context_reference_id::BIGINT,
+        COALESCE(context_notes, CASE WHEN context_change_type IS NULL THEN 'Automatic log from credit balance change' END),
+        context_actor
+    )
+    RETURNING id INTO history_id;
+
+    -- Hand the row back to the app and make sure the context is only used once
+    PERFORM set_config('app.credit_history_id', history_id::TEXT, true);
+    PERFORM set_config('app.credit_change_type', '', true);
+    PERFORM set_config('app.credit_notes', '', true);
+    PERFORM set_config('app.credit_reference_id', '', true);
+    PERFORM set_config('app.credit_actor', '', true);
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+COMMENT ON TABLE credit_history IS 'Audit trail of all credit balance changes, one row per change (written by the log_member_credits_changes trigger)';
+COMMENT ON COLUMN credit_history.actor IS 'Who made the change: system, member <email> or admin <email>; NULL for rows written before 0002 or without context';
+COMMENT ON COLUMN credit_history.duplicate_of IS 'Set on pre-0002 trigger rows that repeat another row; flagged rows are left out of balances and reports';
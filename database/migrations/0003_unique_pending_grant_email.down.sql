@@ -0,0 +1,4 @@
+-- Migration 0003: At most one pending import grant per email (down)
+
+DROP INDEX IF EXISTS idx_pending_grants_email_unique;
+CREATE INDEX IF NOT EXISTS idx_pending_grants_email ON pending_grants(LOWER(email)) WHERE applied_at IS NULL;
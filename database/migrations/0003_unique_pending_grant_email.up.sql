@@ -0,0 +1,16 @@
+-- Migration 0003: At most one pending import grant per email
+-- Two imports validated at the same time could both queue credits for the same email, and the member
+-- then received both on first login. The unique index makes the second import's row a conflict,
+-- which POST /api/admin/imports reports as a line error.
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pending_grants WHERE applied_at IS NULL GROUP BY LOWER(email) HAVING COUNT(*) > 1
+    ) THEN
+        RAISE EXCEPTION 'Some emails have more than one pending import grant. Find them with: SELECT LOWER(email), ARRAY_AGG(id) FROM pending_grants WHERE applied_at IS NULL GROUP BY 1 HAVING COUNT(*) > 1; then delete the extra rows and migrate again';
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_pending_grants_email;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_grants_email_unique ON pending_grants(LOWER(email)) WHERE applied_at IS NULL;
@@ -0,0 +1,5 @@
+-- Migration 0004: Monthly refresh anniversary anchor (down)
+
+DROP FUNCTION IF EXISTS monthly_refresh_anniversary(TIMESTAMPTZ, TIMESTAMPTZ);
+
+ALTER TABLE member_credits DROP COLUMN IF EXISTS refresh_anchor_at;
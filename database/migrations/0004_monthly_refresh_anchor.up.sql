@@ -0,0 +1,48 @@
+-- Migration 0004: Monthly refresh anniversary anchor
+-- The refresh job used to move last_refreshed_at forward from its own previous value, and Postgres
+-- clamps month arithmetic to the end of the month, so a Jan 31 anniversary drifted to Feb 28 and
+-- then stayed on the 28th. Anniversaries are now counted from refresh_anchor_at, the moment the
+-- schedule started (first credits or the latest admin refresh), which is never clamped itself.
+
+ALTER TABLE member_credits ADD COLUMN IF NOT EXISTS refresh_anchor_at TIMESTAMPTZ;
+
+-- Latest anniversary of anchor at or before as_of, in whole months (the last day of the month when
+-- it is shorter than the anchor's day). age() counts a clamped anniversary such as Jan 31 -> Feb 28
+-- as a month short, so the next month is checked as well.
+CREATE OR REPLACE FUNCTION monthly_refresh_anniversary(anchor TIMESTAMPTZ, as_of TIMESTAMPTZ)
+RETURNS TIMESTAMPTZ AS $$
+    SELECT CASE
+               WHEN anchor + make_interval(months => elapsed.months + 1) <= as_of
+               THEN anchor + make_interval(months => elapsed.months + 1)
+               ELSE anchor + make_interval(months => elapsed.months)
+           END
+    FROM (
+        SELECT (EXTRACT(YEAR FROM age(as_of, anchor)) * 12 + EXTRACT(MONTH FROM age(as_of, anchor)))::int AS months
+    ) elapsed
+$$ LANGUAGE sql STABLE;
+
+-- Backfill with the latest admin refresh, or when the credits were created, where last_refreshed_at
+-- is still on that schedule; otherwise the current anniversary is kept as it is
+WITH candidates AS (
+    SELECT mc.member_id, mc.last_refreshed_at,
+           COALESCE(
+               (SELECT MAX(ch.created_at) FROM credit_history ch
+                WHERE ch.member_id = mc.member_id AND ch.change_type = 'admin_refresh'),
+               mc.created_at
+           ) AS anchor
+    FROM member_credits mc
+    WHERE mc.refresh_anchor_at IS NULL
+)
+UPDATE member_credits mc
+SET refresh_anchor_at = CASE
+        WHEN c.anchor IS NOT NULL AND c.anchor <= c.last_refreshed_at
+         AND monthly_refresh_anniversary(c.anchor, c.last_refreshed_at) = c.last_refreshed_at
+        THEN c.anchor
+        ELSE c.last_refreshed_at
+    END
+FROM candidates c
+WHERE c.member_id = mc.member_id;
+
+ALTER TABLE member_credits ALTER COLUMN refresh_anchor_at SET DEFAULT NOW();
+
+COMMENT ON COLUMN member_credits.refresh_anchor_at IS 'Start of the monthly refresh schedule; anniversaries are whole months after it';
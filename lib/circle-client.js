@@ -0,0 +1,190 @@
+const axios = require('axios');
+
+// Circle API client
+// Wraps the headless auth, headless member, cookies and Admin API v2 endpoints the app uses.
+// Base URLs and the timeout come from the environment so the app can run against
+// mock/circle-mock-server.js instead of a live community.
+const DEFAULT_CIRCLE_BASE_URL = 'https://app.circle.so';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Raised for every failed Circle call
+// code is one of: not_configured, timeout, network_error, http_error, invalid_response
+class CircleApiError extends Error {
+  constructor(message, { code = 'http_error', status = null, data = null, method = null, url = null } = {}) {
+    super(message);
+    this.name = 'CircleApiError';
+    this.code = code;
+    this.status = status;
+    this.data = data;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function createCircleClient(options = {}) {
+  const env = options.env || process.env;
+  const communityDomain = env.CIRCLE_COMMUNITY_DOMAIN || 'community.circle.so';
+  const apiBaseUrl = trimTrailingSlash(options.apiBaseUrl || env.CIRCLE_API_BASE_URL || DEFAULT_CIRCLE_BASE_URL);
+
+  const config = {
+    apiBaseUrl,
+    adminApiBaseUrl: trimTrailingSlash(options.adminApiBaseUrl || env.CIRCLE_ADMIN_API_BASE_URL || apiBaseUrl),
+    // Session cookies are set on the community's own domain, not app.circle.so
+    cookiesBaseUrl: trimTrailingSlash(options.cookiesBaseUrl || env.CIRCLE_COOKIES_BASE_URL || `https://${communityDomain}`),
+    headlessToken: options.headlessToken !== undefined ? options.headlessToken : env.CIRCLE_API_TOKEN,
+    adminToken: options.adminToken !== undefined ? options.adminToken : env.CIRCLE_ADMIN_API_TOKEN,
+    timeoutMs: parseInt(options.timeoutMs || env.CIRCLE_API_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  };
+
+  const http = options.http || axios.create();
+
+  async function request({ method, baseUrl, path, token, data, params }) {
+    const url = `${baseUrl}${path}`;
+
+    try {
+      const response = await http.request({
+        method,
+        url,
+        data,
+        params,
+        timeout: config.timeoutMs,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      return response;
+    } catch (error) {
+      if (error.response) {
+        throw new CircleApiError(`Circle API ${method.toUpperCase()} ${path} failed with status ${error.response.status}`, {
+          code: 'http_error',
+          status: error.response.status,
+          data: error.response.data,
+          method,
+          url
+        });
+      }
+
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      throw new CircleApiError(
+        timedOut
+          ? `Circle API ${method.toUpperCase()} ${path} timed out after ${config.timeoutMs}ms`
+          : `Circle API ${method.toUpperCase()} ${path} failed: ${error.message}`,
+        { code: timedOut ? 'timeout' : 'network_error', method, url }
+      );
+    }
+  }
+
+  function requireToken(token, name) {
+    if (!token) {
+      throw new CircleApiError(`${name} is not configured`, { code: 'not_configured' });
+    }
+    return token;
+  }
+
+  return {
+    config,
+
+    hasAdminToken() {
+      return Boolean(config.adminToken);
+    },
+
+    // Mint a headless member access token for { email | community_member_id | sso_id }
+    async createAuthToken(authData) {
+      const response = await request({
+        method: 'post',
+        baseUrl: config.apiBaseUrl,
+        path: '/api/v1/headless/auth_token',
+        token: requireToken(config.headlessToken, 'CIRCLE_API_TOKEN'),
+        data: authData
+      });
+
+      if (!response.data?.access_token) {
+        throw new CircleApiError('No access token received from Circle API', {
+          code: 'invalid_response',
+          status: response.status,
+          data: response.data
+        });
+      }
+      return response.data;
+    },
+
+    // The member the access token belongs to
+    async getCommunityMember(accessToken) {
+      const response = await request({
+        method: 'get',
+        baseUrl: config.apiBaseUrl,
+        path: '/api/headless/v1/community_member',
+        token: accessToken
+      });
+      return response.data;
+    },
+
+    async getPublicProfile(accessToken, communityMemberId) {
+      const response = await request({
+        method: 'get',
+        baseUrl: config.apiBaseUrl,
+        path: `/api/headless/v1/community_members/${encodeURIComponent(communityMemberId)}/public_profile`,
+        token: accessToken
+      });
+      return response.data;
+    },
+
+    // Exchange an access token for community session cookies (iframe embedding)
+    async createSessionCookies(accessToken) {
+      const response = await request({
+        method: 'post',
+        baseUrl: config.cookiesBaseUrl,
+        path: '/api/headless/v1/cookies',
+        token: accessToken,
+        data: {}
+      });
+      return { status: response.status, data: response.data };
+    },
+
+    // All member tags in the community (Admin API)
+    async listMemberTags() {
+      const response = await request({
+        method: 'get',
+        baseUrl: config.adminApiBaseUrl,
+        path: '/api/admin/v2/member_tags',
+        token: requireToken(config.adminToken, 'CIRCLE_ADMIN_API_TOKEN')
+      });
+
+      // The response structure is { page: 1, records: [...] }
+      const tags = response.data?.records || response.data || [];
+      if (!Array.isArray(tags)) {
+        throw new CircleApiError('Unexpected member tags response format', {
+          code: 'invalid_response',
+          status: response.status,
+          data: response.data
+        });
+      }
+      return tags;
+    },
+
+    // Remove a member tag from a member (Admin API)
+    async deleteTaggedMember(userEmail, memberTagId) {
+      const response = await request({
+        method: 'delete',
+        baseUrl: config.adminApiBaseUrl,
+        path: '/api/admin/v2/tagged_members',
+        token: requireToken(config.adminToken, 'CIRCLE_ADMIN_API_TOKEN'),
+        params: {
+          user_email: userEmail,
+          member_tag_id: memberTagId
+        }
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = {
+  CircleApiError,
+  createCircleClient
+};
@@ -0,0 +1,91 @@
+// Historical duplicate credit_history rows
+// Before migration 0002 the log_member_credits_changes trigger logged a generic row for every balance
+// change on top of the row the app wrote, in the same transaction (so with the same created_at).
+// A generic row is a duplicate when the app wrote a row for the same member, transaction, amount and
+// resulting balance. New members also got a 0-credit 'Initial credit grant for new member' row from the
+// trigger, which duplicates the app's initial_grant row. Duplicates are flagged by pointing duplicate_of
+// at the row they repeat; nothing is deleted. Generic rows with no app row are real changes made outside
+// the app (e.g. by hand in psql) and are kept.
+const AUTOMATIC_NOTES = ['Automatic log from credit balance change', 'Initial credit grant for new member'];
+
+// Pair generic rows with the app rows they repeat, one to one
+// Rows already flagged, and app rows already pointed at, are left out, so running again finds only new pairs
+const FIND_DUPLICATES_SQL = `
+  WITH automatic AS (
+    SELECT id, member_id, created_at, change_amount, balance_after, notes,
+           ROW_NUMBER() OVER (PARTITION BY member_id, created_at, change_amount, balance_after ORDER BY id) AS n
+    FROM credit_history
+    WHERE notes = ANY($1::text[]) AND actor IS NULL AND duplicate_of IS NULL
+  ),
+  recorded AS (
+    SELECT id, member_id, created_at, change_amount, balance_after, change_type,
+           ROW_NUMBER() OVER (PARTITION BY member_id, created_at, change_amount, balance_after ORDER BY id) AS n
+    FROM credit_history ch
+    WHERE (notes IS NULL OR notes <> ALL($1::text[]))
+      AND NOT EXISTS (SELECT 1 FROM credit_history flagged WHERE flagged.duplicate_of = ch.id)
+  ),
+  matched AS (
+    SELECT a.id, r.id AS duplicate_of, 'repeats' AS reason
+    FROM automatic a
+    JOIN recorded r USING (member_id, created_at, change_amount, balance_after, n)
+  ),
+  empty_initial AS (
+    SELECT DISTINCT ON (a.id) a.id, r.id AS duplicate_of, 'empty_initial_grant' AS reason
+    FROM automatic a
+    JOIN recorded r ON r.member_id = a.member_id AND r.created_at = a.created_at AND r.change_type = 'initial_grant'
+    WHERE a.notes = $1[2] AND a.change_amount = 0
+      AND a.id NOT IN (SELECT id FROM matched)
+    ORDER BY a.id, r.id
+  )
+  SELECT * FROM matched
+  UNION ALL
+  SELECT * FROM empty_initial
+  ORDER BY id
+`;
+
+// Find (and with apply: true, flag) duplicate rows in one transaction
+// Returns { duplicates: [{ id, duplicate_of, reason }], unmatched: [generic rows left in the ledger] }
+async function flagDuplicateCreditHistory(pool, { apply = false } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const duplicatesResult = await client.query(FIND_DUPLICATES_SQL, [AUTOMATIC_NOTES]);
+    const duplicates = duplicatesResult.rows.map(row => ({ ...row, id: Number(row.id), duplicate_of: Number(row.duplicate_of) }));
+
+    if (apply && duplicates.length > 0) {
+      await client.query(`
+        UPDATE credit_history ch
+        SET duplicate_of = flagged.duplicate_of
+        FROM UNNEST($1::bigint[], $2::bigint[]) AS flagged(id, duplicate_of)
+        WHERE ch.id = flagged.id
+      `, [duplicates.map(row => row.id), duplicates.map(row => row.duplicate_of)]);
+    }
+
+    const unmatchedResult = await client.query(`
+      SELECT ch.id, ch.member_id, m.email, ch.change_type, ch.change_amount, ch.balance_after, ch.created_at
+      FROM credit_history ch
+      JOIN members m ON m.id = ch.member_id
+      WHERE ch.notes = ANY($1::text[]) AND ch.actor IS NULL AND ch.duplicate_of IS NULL
+        AND ch.id <> ALL($2::bigint[])
+      ORDER BY ch.id
+    `, [AUTOMATIC_NOTES, duplicates.map(row => row.id)]);
+
+    await client.query(apply ? 'COMMIT' : 'ROLLBACK');
+
+    return {
+      duplicates,
+      unmatched: unmatchedResult.rows.map(row => ({ ...row, id: Number(row.id), member_id: Number(row.member_id) }))
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  flagDuplicateCreditHistory
+};
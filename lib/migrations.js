@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Versioned database migrations
+// Migrations live in database/migrations as <version>_<name>.up.sql with an optional matching
+// .down.sql, e.g. 0002_add_member_notes.up.sql. Each one runs in its own transaction and is
+// recorded in schema_migrations. Runners on different instances take turns on an advisory lock.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const MIGRATION_LOCK_KEY = 7240010;
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// e.g. 0002_add_member_notes
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(4, '0')}_${name}`;
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Read the migration files, sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      if (file.endsWith('.sql')) {
+        throw new Error(`Migration file ${file} must be named <version>_<name>.up.sql or .down.sql`);
+      }
+      continue;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}`);
+    }
+    if (migration[direction]) {
+      throw new Error(`Migration ${migrationLabel({ version, name })} has more than one ${direction} file`);
+    }
+
+    migration[direction] = path.join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migrationLabel(migration)} has a down file but no up file`);
+      }
+      return { ...migration, checksum: checksum(fs.readFileSync(migration.up, 'utf8')) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version BIGINT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => ({ ...row, version: Number(row.version) }));
+}
+
+// Hold the migration lock on a dedicated connection while fn runs
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Applied and pending migrations, flagging applied files that were edited afterwards
+async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async client => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied_at: row ? row.applied_at : null,
+        modified: Boolean(row && row.checksum !== migration.checksum)
+      };
+    });
+
+    // Versions recorded in the database with no file (e.g. a branch that was rolled back)
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, applied_at: row.applied_at, modified: false, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+// Apply pending migrations in version order, up to and including `to` if given
+// Returns the migrations that were applied
+async function migrateUp(pool, { to = null, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async client => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+    const ran = [];
+
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      if (row) {
+        if (row.checksum !== migration.checksum) {
+          log(`Warning: migration ${migrationLabel(migration)} was modified after it was applied`);
+        }
+        continue;
+      }
+      if (to !== null && migration.version > to) {
+        break;
+      }
+
+      log(`Applying migration ${migrationLabel(migration)}...`);
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(migration.up, 'utf8'));
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)
+        `, [migration.version, migration.name, migration.checksum]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migrationLabel(migration)} failed: ${error.message}`);
+      }
+
+      ran.push({ version: migration.version, name: migration.name });
+    }
+
+    log(ran.length > 0 ? `Applied ${ran.length} migration(s)` : 'Database schema is up to date');
+    return ran;
+  });
+}
+
+// Roll back the most recent `steps` migrations using their down files
+// Returns the migrations that were rolled back
+async function migrateDown(pool, { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async client => {
+    const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${migrationLabel(row)} has no down file, so it cannot be rolled back`);
+      }
+
+      log(`Rolling back migration ${migrationLabel(migration)}...`);
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(migration.down, 'utf8'));
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rolling back migration ${migrationLabel(migration)} failed: ${error.message}`);
+      }
+
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+
+    log(`Rolled back ${rolledBack.length} migration(s)`);
+    return rolledBack;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationLabel,
+  migrateDown,
+  migrateUp,
+  migrationStatus
+};
@@ -0,0 +1,136 @@
+// Ledger reconciliation
+// A member's expected balance is the sum of their credit_history rows (flagged duplicates left out).
+// A mismatch with member_credits means the balance moved without a ledger row, or a row was logged
+// with the wrong amount. The offending rows are the ones that break the chain, where balance_after
+// isn't the previous row's balance_after plus change_amount.
+// Corrections don't touch the balance members see: a 'reconciliation' row logs the unrecorded
+// difference so the ledger sums to the balance again.
+const MISMATCH_ROW_LIMIT = 20;
+
+// Members whose balance differs from their ledger, with the rows that break the chain
+// memberIds (database IDs) limits the check; returns { members_checked, mismatches }
+async function findLedgerMismatches(db, { memberIds = null } = {}) {
+  const [countResult, mismatchResult] = await Promise.all([
+    db.query(`
+      SELECT COUNT(*)::int AS count FROM member_credits
+      WHERE $1::bigint[] IS NULL OR member_id = ANY($1::bigint[])
+    `, [memberIds]),
+    db.query(`
+      SELECT m.id AS member_id, m.circle_member_id, m.email, m.name,
+             mc.credits_balance, COALESCE(ledger.ledger_balance, 0)::int AS ledger_balance,
+             ledger.last_balance_after
+      FROM member_credits mc
+      JOIN members m ON m.id = mc.member_id
+      LEFT JOIN (
+        SELECT member_id, SUM(change_amount) AS ledger_balance,
+               (ARRAY_AGG(balance_after ORDER BY id DESC))[1] AS last_balance_after
+        FROM credit_history
+        WHERE duplicate_of IS NULL
+        GROUP BY member_id
+      ) ledger ON ledger.member_id = mc.member_id
+      WHERE mc.credits_balance <> COALESCE(ledger.ledger_balance, 0)
+        AND ($1::bigint[] IS NULL OR mc.member_id = ANY($1::bigint[]))
+      ORDER BY m.id
+    `, [memberIds])
+  ]);
+
+  const mismatches = mismatchResult.rows.map(row => ({
+    ...row,
+    member_id: Number(row.member_id),
+    difference: row.credits_balance - row.ledger_balance,
+    rows: []
+  }));
+
+  if (mismatches.length > 0) {
+    const rowsResult = await db.query(`
+      SELECT id, member_id, change_type, change_amount, balance_after, expected_balance_after, reference_id, notes, actor, created_at
+      FROM (
+        SELECT ch.*,
+               LAG(ch.balance_after, 1, 0) OVER (PARTITION BY ch.member_id ORDER BY ch.id) + ch.change_amount AS expected_balance_after
+        FROM credit_history ch
+        WHERE ch.member_id = ANY($1::bigint[]) AND ch.duplicate_of IS NULL
+      ) chain
+      WHERE balance_after <> expected_balance_after
+      ORDER BY member_id, id
+    `, [mismatches.map(mismatch => mismatch.member_id)]);
+
+    const byMember = new Map(mismatches.map(mismatch => [mismatch.member_id, mismatch]));
+    for (const row of rowsResult.rows) {
+      const mismatch = byMember.get(Number(row.member_id));
+      if (mismatch.rows.length < MISMATCH_ROW_LIMIT) {
+        const { member_id, ...historyRow } = row;
+        mismatch.rows.push({ ...historyRow, id: Number(row.id) });
+      }
+    }
+  }
+
+  return {
+    members_checked: countResult.rows[0].count,
+    mismatches
+  };
+}
+
+// Log a 'reconciliation' row for each mismatched member so their ledger sums to their balance
+// Each member is corrected in its own transaction, with the difference recomputed under the balance lock.
+// actor is 'admin <email>'; returns the corrections written
+async function correctLedgerMismatches(pool, { actor, reason, memberIds = null }) {
+  const { mismatches } = await findLedgerMismatches(pool, { memberIds });
+  const corrections = [];
+
+  for (const mismatch of mismatches) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const creditsResult = await client.query(`
+        SELECT credits_balance FROM member_credits WHERE member_id = $1 FOR UPDATE
+      `, [mismatch.member_id]);
+      const ledgerResult = await client.query(`
+        SELECT COALESCE(SUM(change_amount), 0)::int AS ledger_balance
+        FROM credit_history
+        WHERE member_id = $1 AND duplicate_of IS NULL
+      `, [mismatch.member_id]);
+
+      const balance = creditsResult.rows[0].credits_balance;
+      const ledgerBalance = ledgerResult.rows[0].ledger_balance;
+      const difference = balance - ledgerBalance;
+
+      if (difference === 0) {
+        await client.query('COMMIT');
+        continue;
+      }
+
+      // The balance doesn't change, so the log_member_credits_changes trigger doesn't fire
+      const historyResult = await client.query(`
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes, actor)
+        VALUES ($1, $2, 'reconciliation', $3, $4, $5)
+        RETURNING id
+      `, [mismatch.member_id, difference, balance, `Ledger reconciliation by ${actor}: ${reason}`, actor]);
+
+      await client.query('COMMIT');
+
+      corrections.push({
+        member_id: mismatch.member_id,
+        circle_member_id: mismatch.circle_member_id,
+        email: mismatch.email,
+        credits_balance: balance,
+        ledger_balance: ledgerBalance,
+        change_amount: difference,
+        credit_history_id: Number(historyResult.rows[0].id)
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return corrections;
+}
+
+module.exports = {
+  correctLedgerMismatches,
+  findLedgerMismatches
+};
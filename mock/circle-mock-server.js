@@ -0,0 +1,255 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+require('dotenv').config();
+
+// Mock Circle server for running the app offline
+// Emulates the headless auth, headless member, cookies and Admin API v2 endpoints the app calls,
+// backed by an in-memory community. Point the app at it with:
+//   CIRCLE_API_BASE_URL=http://localhost:4010
+//   CIRCLE_COOKIES_BASE_URL=http://localhost:4010
+//   CIRCLE_API_TOKEN=mock-headless-token
+//   CIRCLE_ADMIN_API_TOKEN=mock-admin-token
+// Start it with `npm run mock:circle`. CIRCLE_MOCK_FIXTURES can point at a JSON file with
+// { "community_id", "members": [...], "member_tags": [...] } to replace the seed data below.
+
+const DEFAULT_FIXTURES = {
+  community_id: 1,
+  member_tags: [
+    { id: 1, name: 'Pro' },
+    { id: 2, name: 'Premium' },
+    { id: 3, name: 'Business' },
+    { id: 4, name: '$10' },
+    { id: 5, name: '$50' },
+    { id: 6, name: '100' }
+  ],
+  members: [
+    { id: 1001, name: 'Ada Admin', email: 'admin@example.com', sso_id: 'sso-admin', roles: { admin: true, moderator: false }, tag_ids: [] },
+    { id: 1002, name: 'Mo Moderator', email: 'moderator@example.com', sso_id: 'sso-moderator', roles: { admin: false, moderator: true }, tag_ids: [] },
+    { id: 1003, name: 'Pat Pro', email: 'pro@example.com', sso_id: 'sso-pro', roles: { admin: false, moderator: false }, tag_ids: [1] },
+    { id: 1004, name: 'Frankie Free', email: 'free@example.com', sso_id: 'sso-free', roles: { admin: false, moderator: false }, tag_ids: [] },
+    { id: 1005, name: 'Bea Buyer', email: 'buyer@example.com', sso_id: 'sso-buyer', roles: { admin: false, moderator: false }, tag_ids: [5] }
+  ]
+};
+
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) {
+    return DEFAULT_FIXTURES;
+  }
+  return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+}
+
+function createCircleMockApp(options = {}) {
+  const headlessToken = options.headlessToken || process.env.CIRCLE_MOCK_HEADLESS_TOKEN || 'mock-headless-token';
+  const adminToken = options.adminToken || process.env.CIRCLE_MOCK_ADMIN_TOKEN || 'mock-admin-token';
+  const fixtures = options.fixtures || loadFixtures(process.env.CIRCLE_MOCK_FIXTURES);
+
+  let state;
+  // access token -> { member_id, expires_at }
+  const accessTokens = new Map();
+
+  function reset() {
+    // Deep copy so tests can mutate members and tags without touching the fixtures
+    state = JSON.parse(JSON.stringify(fixtures));
+    state.next_tag_id = Math.max(0, ...state.member_tags.map(tag => tag.id)) + 1;
+    accessTokens.clear();
+  }
+  reset();
+
+  function bearerToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+  }
+
+  function findMember(predicate) {
+    return state.members.find(predicate) || null;
+  }
+
+  function memberTags(member) {
+    return member.tag_ids
+      .map(id => state.member_tags.find(tag => tag.id === id))
+      .filter(Boolean);
+  }
+
+  function serializeMember(member) {
+    return {
+      id: member.id,
+      community_id: state.community_id,
+      name: member.name,
+      email: member.email,
+      avatar_url: member.avatar_url || null,
+      roles: member.roles || { admin: false, moderator: false },
+      is_admin: Boolean(member.roles?.admin),
+      is_moderator: Boolean(member.roles?.moderator),
+      member_tags: memberTags(member).map(tag => ({ id: tag.id, name: tag.name }))
+    };
+  }
+
+  function requireToken(expected) {
+    return (req, res, next) => {
+      if (bearerToken(req) !== expected) {
+        return res.status(401).json({ success: false, message: 'Your account could not be authenticated.' });
+      }
+      next();
+    };
+  }
+
+  function requireAccessToken(req, res, next) {
+    const session = accessTokens.get(bearerToken(req));
+    if (!session || session.expires_at < Date.now()) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired access token' });
+    }
+    req.circleMember = findMember(member => member.id === session.member_id);
+    if (!req.circleMember) {
+      return res.status(404).json({ success: false, message: 'Community member not found' });
+    }
+    next();
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (!options.quiet) {
+      console.log(`[circle-mock] ${req.method} ${req.originalUrl}`);
+    }
+    next();
+  });
+
+  // Headless auth: mint a member access token from email, community_member_id or sso_id
+  app.post('/api/v1/headless/auth_token', requireToken(headlessToken), (req, res) => {
+    const { email, community_member_id, sso_id } = req.body || {};
+
+    if (!email && !community_member_id && !sso_id) {
+      return res.status(422).json({ success: false, message: 'email, community_member_id or sso_id is required' });
+    }
+
+    const member = findMember(candidate =>
+      (community_member_id && String(candidate.id) === String(community_member_id)) ||
+      (email && candidate.email.toLowerCase() === String(email).toLowerCase()) ||
+      (sso_id && candidate.sso_id === sso_id)
+    );
+
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Community member not found' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS);
+    accessTokens.set(accessToken, { member_id: member.id, expires_at: expiresAt.getTime() });
+
+    res.json({
+      access_token: accessToken,
+      refresh_token: crypto.randomBytes(24).toString('hex'),
+      access_token_expires_at: expiresAt.toISOString(),
+      refresh_token_expires_at: new Date(Date.now() + 30 * 24 * ACCESS_TOKEN_TTL_MS).toISOString(),
+      community_member_id: member.id,
+      community_id: state.community_id
+    });
+  });
+
+  app.get('/api/headless/v1/community_member', requireAccessToken, (req, res) => {
+    res.json(serializeMember(req.circleMember));
+  });
+
+  app.get('/api/headless/v1/community_members/:id/public_profile', requireAccessToken, (req, res) => {
+    const member = findMember(candidate => String(candidate.id) === req.params.id);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Community member not found' });
+    }
+
+    const { id, name, avatar_url, member_tags } = serializeMember(member);
+    res.json({ id, name, avatar_url, member_tags });
+  });
+
+  app.post('/api/headless/v1/cookies', requireAccessToken, (req, res) => {
+    res.cookie('circle_mock_session', bearerToken(req), { httpOnly: true, sameSite: 'none', secure: true });
+    res.json({ success: true });
+  });
+
+  // Admin API v2
+  app.get('/api/admin/v2/member_tags', requireToken(adminToken), (req, res) => {
+    res.json({
+      page: 1,
+      per_page: state.member_tags.length,
+      has_next_page: false,
+      count: state.member_tags.length,
+      records: state.member_tags
+    });
+  });
+
+  app.post('/api/admin/v2/member_tags', requireToken(adminToken), (req, res) => {
+    const name = req.body?.name;
+    if (!name) {
+      return res.status(422).json({ success: false, message: 'name is required' });
+    }
+
+    let tag = state.member_tags.find(candidate => candidate.name === name);
+    if (!tag) {
+      tag = { id: state.next_tag_id++, name };
+      state.member_tags.push(tag);
+    }
+    res.status(201).json(tag);
+  });
+
+  // Tag a member, e.g. to simulate a "$50" purchase before they next open the app
+  app.post('/api/admin/v2/tagged_members', requireToken(adminToken), (req, res) => {
+    const { email, member_tag_id } = req.body || {};
+    const member = email && findMember(candidate => candidate.email.toLowerCase() === String(email).toLowerCase());
+    const tag = state.member_tags.find(candidate => String(candidate.id) === String(member_tag_id));
+
+    if (!member || !tag) {
+      return res.status(404).json({ success: false, message: member ? 'Member tag not found' : 'Community member not found' });
+    }
+
+    if (!member.tag_ids.includes(tag.id)) {
+      member.tag_ids.push(tag.id);
+    }
+    res.json({ success: true, message: 'Member tagged' });
+  });
+
+  app.delete('/api/admin/v2/tagged_members', requireToken(adminToken), (req, res) => {
+    const { user_email, member_tag_id } = req.query;
+    const member = user_email && findMember(candidate => candidate.email.toLowerCase() === String(user_email).toLowerCase());
+    const tagId = parseInt(member_tag_id, 10);
+
+    if (!member || !member.tag_ids.includes(tagId)) {
+      return res.status(404).json({ success: false, message: 'Tagged member not found' });
+    }
+
+    member.tag_ids = member.tag_ids.filter(id => id !== tagId);
+    res.json({ success: true, message: 'Tag removed from member' });
+  });
+
+  // Mock-only helpers for inspecting and resetting the community between runs
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      community_id: state.community_id,
+      member_tags: state.member_tags,
+      members: state.members.map(serializeMember),
+      active_access_tokens: accessTokens.size
+    });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: `No mock for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+module.exports = { createCircleMockApp };
+
+if (require.main === module) {
+  const port = process.env.CIRCLE_MOCK_PORT || 4010;
+  createCircleMockApp().listen(port, () => {
+    console.log(`Mock Circle server running on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,44 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { flagDuplicateCreditHistory } = require('../lib/ledger-duplicates');
+
+// One-off cleanup for credit_history rows duplicated by the pre-0002 log_credit_change trigger
+//   npm run ledger:flag-duplicates              Report duplicates without changing anything
+//   npm run ledger:flag-duplicates -- --apply   Flag them (sets credit_history.duplicate_of)
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--apply');
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: ${unknown[0]} (expected --apply)`);
+  }
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const apply = args.includes('--apply');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    const { duplicates, unmatched } = await flagDuplicateCreditHistory(pool, { apply });
+
+    for (const row of duplicates) {
+      console.log(`#${row.id} duplicates #${row.duplicate_of}${row.reason === 'empty_initial_grant' ? ' (empty initial grant)' : ''}`);
+    }
+    for (const row of unmatched) {
+      console.log(`#${row.id} kept: ${row.change_type} ${row.change_amount} for ${row.email} at ${row.created_at.toISOString()} has no matching app row`);
+    }
+
+    console.log(`${duplicates.length} duplicate row(s) ${apply ? 'flagged' : 'found'}, ${unmatched.length} automatic row(s) kept`);
+    if (!apply && duplicates.length > 0) {
+      console.log('Run again with --apply to flag them');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { migrateDown, migrateUp, migrationLabel, migrationStatus } = require('../lib/migrations');
+
+// Database migrations CLI
+//   npm run migrate                  Apply all pending migrations
+//   npm run migrate -- up --to 3     Apply pending migrations up to version 3
+//   npm run migrate -- down          Roll back the latest migration
+//   npm run migrate -- down --steps 2
+//   npm run migrate -- status        List applied and pending migrations
+function parseArgs(argv) {
+  const args = { command: 'up', to: null, steps: 1 };
+  const rest = [...argv];
+
+  if (rest[0] && !rest[0].startsWith('--')) {
+    args.command = rest.shift();
+  }
+
+  while (rest.length > 0) {
+    const flag = rest.shift();
+    const value = parseInt(rest.shift(), 10);
+
+    if ((flag !== '--to' && flag !== '--steps') || !Number.isInteger(value) || value < 1) {
+      throw new Error(`Unknown or invalid option: ${flag}`);
+    }
+    args[flag.slice(2)] = value;
+  }
+
+  if (!['up', 'down', 'status'].includes(args.command)) {
+    throw new Error(`Unknown command: ${args.command} (expected up, down or status)`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    if (args.command === 'up') {
+      await migrateUp(pool, { to: args.to });
+    } else if (args.command === 'down') {
+      await migrateDown(pool, { steps: args.steps });
+    } else {
+      const status = await migrationStatus(pool);
+      for (const migration of status) {
+        const state = migration.missing ? 'applied, file missing'
+          : migration.applied_at ? `applied ${migration.applied_at.toISOString()}${migration.modified ? ' (modified since)' : ''}`
+          : 'pending';
+        console.log(`${migrationLabel(migration)}  ${state}`);
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
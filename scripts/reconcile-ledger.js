@@ -0,0 +1,110 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { correctLedgerMismatches, findLedgerMismatches } = require('../lib/reconciliation');
+
+// Ledger reconciliation CLI
+//   npm run ledger:reconcile                                  Report balances that differ from their ledger
+//   npm run ledger:reconcile -- --member 12345                Check one member (Circle member ID or email)
+//   npm run ledger:reconcile -- --apply --admin owner@example.com --reason "Drift from 2024 outage"
+//                                                             Write correcting 'reconciliation' rows
+function parseArgs(argv) {
+  const args = { apply: false, member: null, admin: null, reason: null };
+  const rest = [...argv];
+
+  while (rest.length > 0) {
+    const flag = rest.shift();
+
+    if (flag === '--apply') {
+      args.apply = true;
+    } else if (['--member', '--admin', '--reason'].includes(flag) && rest.length > 0 && !rest[0].startsWith('--')) {
+      args[flag.slice(2)] = rest.shift();
+    } else {
+      throw new Error(`Unknown or invalid option: ${flag}`);
+    }
+  }
+
+  if (args.apply && (!args.admin || !args.reason)) {
+    throw new Error('--apply needs --admin <email> and --reason <text>, so corrections are recorded under an admin\'s name');
+  }
+
+  return args;
+}
+
+// The admin must be able to adjust credits: an owner or finance role, or a Circle admin
+// (or moderator, per MODERATOR_DEFAULT_ROLE) without an assigned role
+async function findAdmin(pool, email) {
+  const result = await pool.query(`
+    SELECT m.email
+    FROM members m
+    LEFT JOIN admin_roles ar ON ar.member_id = m.id
+    WHERE LOWER(m.email) = LOWER($1)
+      AND (ar.role IN ('owner', 'finance')
+        OR (ar.role IS NULL AND m.is_admin)
+        OR (ar.role IS NULL AND m.is_moderator AND $2 IN ('owner', 'finance')))
+  `, [email, process.env.MODERATOR_DEFAULT_ROLE || 'support']);
+
+  if (result.rows.length === 0) {
+    throw new Error(`${email} is not an admin with the credits:adjust permission`);
+  }
+  return result.rows[0].email;
+}
+
+async function findMemberId(pool, member) {
+  const result = await pool.query(`
+    SELECT id FROM members WHERE ${/^\d+$/.test(member) ? 'circle_member_id = $1' : 'LOWER(email) = LOWER($1)'}
+  `, [member]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`No member found for ${member}`);
+  }
+  return result.rows[0].id;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    const memberIds = args.member ? [await findMemberId(pool, args.member)] : null;
+
+    if (args.apply) {
+      const adminEmail = await findAdmin(pool, args.admin);
+      const corrections = await correctLedgerMismatches(pool, { actor: `admin ${adminEmail}`, reason: args.reason, memberIds });
+
+      for (const correction of corrections) {
+        console.log(`${correction.email}: logged ${correction.change_amount} (ledger ${correction.ledger_balance} -> balance ${correction.credits_balance}) as #${correction.credit_history_id}`);
+      }
+      console.log(`Corrected ${corrections.length} member(s)`);
+      return;
+    }
+
+    const { members_checked, mismatches } = await findLedgerMismatches(pool, { memberIds });
+
+    for (const mismatch of mismatches) {
+      console.log(`${mismatch.email} (${mismatch.circle_member_id}): balance ${mismatch.credits_balance}, ledger ${mismatch.ledger_balance}, difference ${mismatch.difference}`);
+      for (const row of mismatch.rows) {
+        console.log(`  #${row.id} ${row.change_type} ${row.change_amount}: balance_after ${row.balance_after}, expected ${row.expected_balance_after}`);
+      }
+      if (mismatch.last_balance_after !== null && mismatch.last_balance_after !== mismatch.credits_balance) {
+        console.log(`  balance changed since the last row (balance_after ${mismatch.last_balance_after})`);
+      }
+    }
+
+    console.log(`${mismatches.length} of ${members_checked} member(s) differ from their ledger`);
+    if (mismatches.length > 0) {
+      console.log('Run again with --apply --admin <email> --reason <text> to log correcting reconciliation rows');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
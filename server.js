@@ -1,9 +1,14 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
+const { CircleApiError, createCircleClient } = require('./lib/circle-client');
+const { migrateUp } = require('./lib/migrations');
+const { correctLedgerMismatches, findLedgerMismatches } = require('./lib/reconciliation');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -14,10 +19,132 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
   : ['http://0.0.0.0:8080'];
 
 // Parse paid member tags from environment variable
+// Only used to build the default plans when no plans config file exists
 const paidMemberTags = process.env.PAID_MEMBER_TAGS
   ? process.env.PAID_MEMBER_TAGS.split(',').map(tag => tag.trim().toLowerCase())
   : ['paid', 'premium', 'subscriber', 'member', 'vip', 'pro'];
 
+// Membership plans map exact Circle tag names to credit allowances and action prices.
+// Plans are listed from lowest to highest; a member gets the highest plan whose tags they have,
+// or default_plan if none match. See config/plans.example.json.
+const PLANS_CONFIG_PATH = process.env.PLANS_CONFIG_PATH || path.join(__dirname, 'config', 'plans.json');
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Build Free and Paid plans from the legacy environment variables
+function buildDefaultPlansConfig() {
+  return {
+    default_plan: 'free',
+    plans: [
+      {
+        key: 'free',
+        name: 'Free',
+        tags: [],
+        is_paid: false,
+        initial_credits: parseInt(process.env.INITIAL_CREDITS_FREE, 10) || 10,
+        monthly_credits: parseInt(process.env.MONTHLY_CREDITS_FREE, 10) || 10
+      },
+      {
+        key: 'paid',
+        name: 'Paid',
+        tags: paidMemberTags,
+        is_paid: true,
+        initial_credits: parseInt(process.env.INITIAL_CREDITS_PAID, 10) || 100,
+        monthly_credits: parseInt(process.env.MONTHLY_CREDITS_PAID, 10) || 100
+      }
+    ]
+  };
+}
+
+// Validate a plans config and index it by key
+// Throws on invalid config so a typo fails at startup instead of mispricing members
+function parsePlansConfig(config) {
+  if (!config || !Array.isArray(config.plans) || config.plans.length === 0) {
+    throw new Error('Plans config must contain a non-empty "plans" array');
+  }
+
+  const plans = config.plans.map((plan, rank) => {
+    if (typeof plan.key !== 'string' || !/^[a-z0-9_]{1,50}$/.test(plan.key)) {
+      throw new Error(`Plan #${rank + 1}: key must be 1-50 lowercase letters, digits or underscores`);
+    }
+    if (plan.tags !== undefined && (!Array.isArray(plan.tags) || plan.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error(`Plan ${plan.key}: tags must be an array of tag names`);
+    }
+    if (!isNonNegativeInteger(plan.initial_credits) || !isNonNegativeInteger(plan.monthly_credits)) {
+      throw new Error(`Plan ${plan.key}: initial_credits and monthly_credits must be non-negative integers`);
+    }
+
+    const actionPricing = plan.action_pricing || {};
+    for (const [actionType, cost] of Object.entries(actionPricing)) {
+      if (!isNonNegativeInteger(cost)) {
+        throw new Error(`Plan ${plan.key}: action_pricing.${actionType} must be a non-negative integer`);
+      }
+    }
+
+    return {
+      key: plan.key,
+      name: plan.name || plan.key,
+      tags: (plan.tags || []).map(tag => tag.trim().toLowerCase()),
+      is_paid: plan.is_paid === true,
+      initial_credits: plan.initial_credits,
+      monthly_credits: plan.monthly_credits,
+      action_pricing: actionPricing,
+      rank
+    };
+  });
+
+  const byKey = new Map();
+  for (const plan of plans) {
+    if (byKey.has(plan.key)) {
+      throw new Error(`Plan ${plan.key} is defined more than once`);
+    }
+    byKey.set(plan.key, plan);
+  }
+
+  const defaultKey = config.default_plan || plans[0].key;
+  if (!byKey.has(defaultKey)) {
+    throw new Error(`default_plan "${defaultKey}" is not a defined plan`);
+  }
+
+  return { plans, byKey, defaultPlan: byKey.get(defaultKey) };
+}
+
+function loadMembershipPlans() {
+  if (!fs.existsSync(PLANS_CONFIG_PATH)) {
+    console.log(`No plans config at ${PLANS_CONFIG_PATH}, using Free/Paid plans from PAID_MEMBER_TAGS`);
+    return parsePlansConfig(buildDefaultPlansConfig());
+  }
+
+  const config = JSON.parse(fs.readFileSync(PLANS_CONFIG_PATH, 'utf8'));
+  return parsePlansConfig(config);
+}
+
+const membershipPlans = loadMembershipPlans();
+
+// Look up a plan by key, falling back to the default plan for unknown or missing keys
+function getPlan(planKey) {
+  return membershipPlans.byKey.get(planKey) || membershipPlans.defaultPlan;
+}
+
+// Resolve a member's plan from their Circle tags (exact, case-insensitive tag names)
+function resolveMemberPlan(tags) {
+  const memberTags = new Set(
+    (Array.isArray(tags) ? tags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().toLowerCase())
+  );
+
+  let resolved = membershipPlans.defaultPlan;
+  for (const plan of membershipPlans.plans) {
+    if (plan.rank > resolved.rank && plan.tags.some(tag => memberTags.has(tag))) {
+      resolved = plan;
+    }
+  }
+  return resolved;
+}
+
 // Database connection pool
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -38,44 +165,102 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 console.log('Allowed CORS origins:', allowedOrigins);
-console.log('Paid member tags:', paidMemberTags);
+console.log('Membership plans:', membershipPlans.plans.map(plan => `${plan.name} (${plan.key})`).join(', '));
 console.log('Database URL configured:', process.env.DATABASE_URL ? 'Yes' : 'No');
 
-// In-memory store for temporary admin tokens (in production, use Redis)
-const adminTokens = new Map();
+// Admin session configuration
+// Sessions live in the admin_sessions table (only a SHA-256 hash of each token is stored).
+// Expiry slides forward on every request, up to an absolute maximum lifetime.
+const ADMIN_SESSION_IDLE_MINUTES = parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES, 10) || 15;
+const ADMIN_SESSION_MAX_HOURS = parseInt(process.env.ADMIN_SESSION_MAX_HOURS, 10) || 8;
+const ADMIN_SESSION_COOKIE = 'admin_session';
+
+// App session configuration
+// Sessions are HMAC-signed tokens (JWT, HS256) bound to the member's database ID
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const APP_SESSION_TTL_HOURS = parseInt(process.env.APP_SESSION_TTL_HOURS, 10) || 12;
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET not configured, using a random secret (app sessions will not survive restarts)');
+}
+
+// Sign an app session token for an authenticated member
+function signAppSession(dbMemberId, circleMemberId) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + APP_SESSION_TTL_HOURS * 60 * 60;
+
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(dbMemberId),
+    circle_member_id: String(circleMemberId),
+    iat: issuedAt,
+    exp: expiresAt
+  })).toString('base64url');
+
+  const signature = crypto
+    .createHmac('sha256', SESSION_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+
+  return {
+    token: `${header}.${payload}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+}
+
+// Verify an app session token, returning its payload or null if invalid/expired
+function verifyAppSession(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expectedSignature = crypto
+    .createHmac('sha256', SESSION_SECRET)
+    .update(`${header}.${payload}`)
+    .digest();
+  const providedSignature = Buffer.from(signature, 'base64url');
+
+  if (providedSignature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(providedSignature, expectedSignature)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
 
-// Circle Admin API configuration
-const CIRCLE_ADMIN_API_TOKEN = process.env.CIRCLE_ADMIN_API_TOKEN;
-const CIRCLE_ADMIN_API_BASE = 'https://app.circle.so';
+// Circle API client (base URLs and timeout are configurable, see lib/circle-client.js)
+const circle = createCircleClient();
+
+// HTTP status to answer with when a Circle call fails: Circle's own status for HTTP errors,
+// 500 when a token is missing, and 502 when Circle timed out or sent something unexpected
+function circleErrorStatus(error) {
+  if (!(error instanceof CircleApiError) || error.code === 'not_configured') {
+    return 500;
+  }
+  return error.code === 'http_error' ? error.status : 502;
+}
 
 // Function to get admin tag ID by name
 async function getAdminTagIdByName(tagName) {
-  if (!CIRCLE_ADMIN_API_TOKEN) {
+  if (!circle.hasAdminToken()) {
     console.log('CIRCLE_ADMIN_API_TOKEN not configured, skipping tag management');
     return null;
   }
 
   try {
     // Get all admin tags
-    const response = await axios.get(
-      `${CIRCLE_ADMIN_API_BASE}/api/admin/v2/member_tags`,
-      {
-        headers: {
-          'Authorization': `Bearer ${CIRCLE_ADMIN_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    console.log('Admin tags API response:', JSON.stringify(response.data, null, 2));
-    
-    // The response structure is { page: 1, records: [...] }
-    const tags = response.data?.records || response.data || [];
-    
-    if (!Array.isArray(tags)) {
-      console.error('Unexpected tags response format:', typeof tags);
-      return null;
-    }
+    const tags = await circle.listMemberTags();
+    console.log('Admin tags API response:', JSON.stringify(tags, null, 2));
     
     // Find the tag with matching name
     const adminTag = tags.find(tag => tag.name === tagName);
@@ -88,14 +273,14 @@ async function getAdminTagIdByName(tagName) {
       return null;
     }
   } catch (error) {
-    console.error('Error fetching admin tags:', error.response?.data || error.message);
+    console.error('Error fetching admin tags:', error.data || error.message);
     return null;
   }
 }
 
 // Function to delete a member tag using Circle Admin API
 async function deleteMemberTag(userEmail, memberTagId) {
-  if (!CIRCLE_ADMIN_API_TOKEN) {
+  if (!circle.hasAdminToken()) {
     console.log('CIRCLE_ADMIN_API_TOKEN not configured, cannot delete tag');
     return false;
   }
@@ -103,26 +288,14 @@ async function deleteMemberTag(userEmail, memberTagId) {
   try {
     console.log(`Attempting to delete tag: email=${userEmail}, tag_id=${memberTagId}`);
     
-    const response = await axios.delete(
-      `${CIRCLE_ADMIN_API_BASE}/api/admin/v2/tagged_members`,
-      {
-        params: {
-          user_email: userEmail,
-          member_tag_id: memberTagId
-        },
-        headers: {
-          'Authorization': `Bearer ${CIRCLE_ADMIN_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const result = await circle.deleteTaggedMember(userEmail, memberTagId);
     
-    console.log(`Successfully deleted member tag ID ${memberTagId} for user ${userEmail}:`, response.data);
+    console.log(`Successfully deleted member tag ID ${memberTagId} for user ${userEmail}:`, result);
     return true;
   } catch (error) {
-    console.error('Error deleting member tag:', error.response?.data || error.message);
-    if (error.response?.status) {
-      console.error('Response status:', error.response.status);
+    console.error('Error deleting member tag:', error.data || error.message);
+    if (error.status) {
+      console.error('Response status:', error.status);
     }
     return false;
   }
@@ -156,6 +329,8 @@ app.use(cors({
   },
   credentials: true
 }));
+// Member import CSVs are sent as JSON and can be larger than the default body limit
+app.use('/api/admin/imports', express.json({ limit: process.env.IMPORT_MAX_SIZE || '5mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -291,28 +466,13 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
     }
 
     console.log('Auth data being sent to Circle API:', JSON.stringify(authData, null, 2));
-    console.log('Circle API URL:', 'https://app.circle.so/api/v1/headless/auth_token');
-
-    const authResponse = await axios.post(
-      'https://app.circle.so/api/v1/headless/auth_token',
-      authData,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.CIRCLE_API_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    console.log('Circle API URL:', `${circle.config.apiBaseUrl}/api/v1/headless/auth_token`);
 
-    console.log('Circle API auth response status:', authResponse.status);
-    console.log('Circle API auth response data:', JSON.stringify(authResponse.data, null, 2));
+    const authResult = await circle.createAuthToken(authData);
 
-    const { access_token, community_member_id: memberId } = authResponse.data;
+    console.log('Circle API auth response data:', JSON.stringify(authResult, null, 2));
 
-    if (!access_token) {
-      console.error('ERROR: No access_token received from Circle API');
-      throw new Error('No access token received from Circle API');
-    }
+    const { access_token, community_member_id: memberId } = authResult;
 
     if (!memberId) {
       console.error('ERROR: No community_member_id received from Circle API');
@@ -327,26 +487,18 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
     
     try {
       // Use the /community_member endpoint (correct one from API docs)
-      const memberUrl = `https://app.circle.so/api/headless/v1/community_member`;
-      console.log('Fetching member data from:', memberUrl);
+      console.log('Fetching member data from:', `${circle.config.apiBaseUrl}/api/headless/v1/community_member`);
       
-      const memberResponse = await axios.get(memberUrl, {
-        headers: {
-          'Authorization': `Bearer ${access_token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      memberData = await circle.getCommunityMember(access_token);
       
-      console.log('Member API response status:', memberResponse.status);
-      console.log('Member API response data:', JSON.stringify(memberResponse.data, null, 2));
-      memberData = memberResponse.data;
+      console.log('Member API response data:', JSON.stringify(memberData, null, 2));
       
       // Extract useful fields for display
       if (memberData) {
         // Ensure we have all the fields we need
         memberData.id = memberData.id || memberId;
         memberData.community_member_id = memberId;
-        memberData.community_id = authResponse.data.community_id;
+        memberData.community_id = authResult.community_id;
         
         // Check for paid status via tags or other indicators
         memberData.is_paid = false;
@@ -375,23 +527,17 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
           memberData.tags = [];
         }
         
-        // Paid status detection - using tags ONLY
-        let isPaidMember = false;
+        // Plan detection - exact Circle tag names only
+        const plan = resolveMemberPlan(memberData.tags);
+        memberData.plan = plan.key;
+        memberData.plan_name = plan.name;
+        memberData.is_paid = plan.is_paid;
         
-        // Check member tags against configured paid tags
-        if (memberData.tags && Array.isArray(memberData.tags) && memberData.tags.length > 0) {
-          isPaidMember = memberData.tags.some(tag => 
-            typeof tag === 'string' && paidMemberTags.some(paidTag => tag.toLowerCase().includes(paidTag))
-          );
-        }
-        
-        memberData.is_paid = isPaidMember;
-        
-        console.log('Paid status detection (tags only):', {
+        console.log('Plan detection (tags only):', {
           email: memberData.email,
           tags: memberData.tags || [],
-          matched_paid_tag: isPaidMember,
-          configured_paid_tags: paidMemberTags
+          plan: plan.key,
+          is_paid: plan.is_paid
         });
       }
       
@@ -400,17 +546,9 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
       
       try {
         // Try public profile endpoint as fallback
-        const publicProfileUrl = `https://app.circle.so/api/headless/v1/community_members/${memberId}/public_profile`;
-        const profileResponse = await axios.get(publicProfileUrl, {
-          headers: {
-            'Authorization': `Bearer ${access_token}`,
-            'Content-Type': 'application/json'
-          }
-        });
+        memberData = await circle.getPublicProfile(access_token, memberId);
         
-        console.log('Public profile API response status:', profileResponse.status);
-        console.log('Public profile API response data:', JSON.stringify(profileResponse.data, null, 2));
-        memberData = profileResponse.data;
+        console.log('Public profile API response data:', JSON.stringify(memberData, null, 2));
         
       } catch (profileError) {
         console.log('All member endpoints failed. Using data from auth response...');
@@ -419,7 +557,7 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
         memberData = {
           id: memberId,
           community_member_id: memberId,
-          community_id: authResponse.data.community_id,
+          community_id: authResult.community_id,
           email: email || authData.email,
           name: req.body.name || 'Circle Member',
           avatar_url: req.body.avatar_url || null,
@@ -430,6 +568,7 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
     }
 
     // Database integration: Upsert member data and handle credits
+    let appSession = null;
     if (memberData && memberData.id && process.env.DATABASE_URL) {
       try {
         console.log('=== DATABASE INTEGRATION START ===');
@@ -437,20 +576,20 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
         
         // First, check the member's CURRENT status in DB before updating
         const existingMemberQuery = await pool.query(
-          'SELECT id, is_paid, tags FROM members WHERE circle_member_id = $1',
+          'SELECT id, is_paid, plan, tags FROM members WHERE circle_member_id = $1',
           [memberData.id || memberData.community_member_id]
         );
         const existingMember = existingMemberQuery.rows[0];
-        const previousPaidStatus = existingMember?.is_paid || false;
+        const previousPlan = getPlan(existingMember?.plan);
         const previousTags = existingMember?.tags || [];
 
         // 1. UPSERT Member Data
         const upsertQuery = `
           INSERT INTO members (
             circle_member_id, circle_user_id, email, name, avatar_url, 
-            is_admin, is_moderator, is_paid, tags, last_seen_at
+            is_admin, is_moderator, is_paid, plan, tags, last_seen_at
           )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
           ON CONFLICT (circle_member_id)
           DO UPDATE SET
             email = EXCLUDED.email,
@@ -459,6 +598,7 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
             is_admin = EXCLUDED.is_admin,
             is_moderator = EXCLUDED.is_moderator,
             is_paid = EXCLUDED.is_paid,
+            plan = EXCLUDED.plan,
             tags = EXCLUDED.tags,
             last_seen_at = NOW(),
             updated_at = NOW()
@@ -475,11 +615,8 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
           'extracted isModerator': isModerator
         });
         
-        // Determine paid status before upserting
-        const currentIsPaid = memberData.is_paid !== undefined ? memberData.is_paid : 
-          (memberData.tags && memberData.tags.some(tag => 
-            typeof tag === 'string' && paidMemberTags.some(paidTag => tag.toLowerCase().includes(paidTag))
-          )) || false;
+        // Resolve the plan before upserting (fallback member data may not have been through detection)
+        const currentPlan = resolveMemberPlan(memberData.tags || memberData.member_tags || []);
         
         const memberResult = await pool.query(upsertQuery, [
           memberData.id || memberData.community_member_id,
@@ -489,7 +626,8 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
           memberData.avatar_url || req.body.avatar_url,
           isAdmin,
           isModerator,
-          currentIsPaid,
+          currentPlan.is_paid,
+          currentPlan.key,
           JSON.stringify(memberData.tags || memberData.member_tags || [])
         ]);
 
@@ -501,135 +639,78 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
         console.log('Member upserted with DB ID:', dbMemberId);
         console.log('Is new user:', isNewUser);
         
-        // Ensure paid status is always detected based on tags
-        // Update memberData.is_paid to match what was saved to database
-        memberData.is_paid = currentIsPaid;
-        if (memberData.tags) {
-          console.log('Paid status verification:', {
-            tags: memberData.tags,
-            is_paid: memberData.is_paid,
-            configured_paid_tags: paidMemberTags
-          });
-        }
+        // Update memberData to match the plan saved to the database
+        memberData.plan = currentPlan.key;
+        memberData.plan_name = currentPlan.name;
+        memberData.is_paid = currentPlan.is_paid;
 
-        // 2. Handle Credits (Initial Grant & Monthly Replenishment)
+        // 2. Handle Credits (Initial Grant & Upgrade Bonus)
         console.log('=== STARTING CREDIT PROCESSING ===');
-        let creditsResult = await pool.query(
-          'SELECT * FROM member_credits WHERE member_id = $1', 
-          [dbMemberId]
-        );
-        console.log('Credits query result:', creditsResult.rows.length > 0 ? 'found' : 'not found');
-        
-        if (creditsResult.rows.length === 0 || isNewUser) {
-          // New user or no credit record exists, grant initial credits
-          console.log(`New user or missing credits detected (DB ID: ${dbMemberId}). Granting initial credits.`);
-          
-          const initialCredits = memberData.is_paid
-            ? parseInt(process.env.INITIAL_CREDITS_PAID, 10) || 100
-            : parseInt(process.env.INITIAL_CREDITS_FREE, 10) || 10;
-
-          creditsResult = await pool.query(`
-            INSERT INTO member_credits (member_id, credits_balance, last_refreshed_at)
-            VALUES ($1, $2, NOW())
-            ON CONFLICT (member_id)
-            DO UPDATE SET
-              credits_balance = EXCLUDED.credits_balance,
-              last_refreshed_at = EXCLUDED.last_refreshed_at,
-              updated_at = NOW()
-            RETURNING *
-          `, [dbMemberId, initialCredits]);
-          
-          // Log the initial credit grant
-          await pool.query(`
-            INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
-            VALUES ($1, $2, $3, $4, $5)
-          `, [
-            dbMemberId,
-            initialCredits,
-            'initial_grant',
-            initialCredits,
-            `Initial credit grant: ${memberData.is_paid ? 'paid' : 'free'} member`
-          ]);
-          
-        } else {
-          // Returning user, check for monthly refresh AND status change
-          const creditsRecord = creditsResult.rows[0];
-          const lastRefresh = new Date(creditsRecord.last_refreshed_at);
-          const oneMonthAgo = new Date();
-          oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-
-          // Check if member's paid status changed (using the status we captured BEFORE updating DB)
-          const tagsChanged = JSON.stringify(previousTags) !== JSON.stringify(memberData.tags || []);
-          
-          if (previousPaidStatus !== memberData.is_paid || tagsChanged) {
-            console.log(`Member ${memberData.email} status/tags changed:`, {
-              previousPaidStatus,
-              currentPaidStatus: memberData.is_paid,
-              previousTags,
-              currentTags: memberData.tags
+        const creditsClient = await pool.connect();
+        let creditsResult;
+
+        try {
+          await creditsClient.query('BEGIN');
+
+          // Create the credit record at zero so the grant below goes through the bucket ledger
+          const createdResult = await creditsClient.query(`
+            INSERT INTO member_credits (member_id, credits_balance, last_refreshed_at, refresh_anchor_at)
+            VALUES ($1, 0, NOW(), NOW())
+            ON CONFLICT (member_id) DO NOTHING
+            RETURNING member_id
+          `, [dbMemberId]);
+          console.log('Credits record:', createdResult.rows.length > 0 ? 'created' : 'found');
+
+          if (createdResult.rows.length > 0) {
+            // New user or no credit record exists, grant initial credits
+            console.log(`New user or missing credits detected (DB ID: ${dbMemberId}). Granting initial credits.`);
+
+            await applyCreditChange(creditsClient, dbMemberId, currentPlan.initial_credits, {
+              changeType: 'initial_grant',
+              notes: `Initial credit grant: ${currentPlan.name} plan`
             });
-            
-            // If they upgraded to paid, give them additional credits
-            if (!previousPaidStatus && memberData.is_paid) {
-              const upgradeBonus = (parseInt(process.env.INITIAL_CREDITS_PAID, 10) || 100) - 
-                                   (parseInt(process.env.INITIAL_CREDITS_FREE, 10) || 10);
-              
-              const newBalance = creditsRecord.credits_balance + upgradeBonus;
-              
-              creditsResult = await pool.query(`
-                UPDATE member_credits 
-                SET credits_balance = $1, updated_at = NOW()
-                WHERE member_id = $2 
-                RETURNING *
-              `, [newBalance, dbMemberId]);
-              
-              // Log the upgrade bonus
-              await pool.query(`
-                INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
-                VALUES ($1, $2, $3, $4, $5)
-              `, [
-                dbMemberId,
-                upgradeBonus,
-                'upgrade_bonus',
-                newBalance,
-                'Credit bonus for upgrading to paid membership'
-              ]);
-              
-              console.log(`Added ${upgradeBonus} upgrade bonus credits for ${memberData.email}`);
+          } else {
+            // Returning user, check for plan change
+            // Compare against the plan we captured BEFORE updating the DB
+            const tagsChanged = JSON.stringify(previousTags) !== JSON.stringify(memberData.tags || []);
+
+            if (previousPlan.key !== currentPlan.key || tagsChanged) {
+              console.log(`Member ${memberData.email} plan/tags changed:`, {
+                previousPlan: previousPlan.key,
+                currentPlan: currentPlan.key,
+                previousTags,
+                currentTags: memberData.tags
+              });
             }
-          }
 
-          // Regular monthly refresh check
-          if (lastRefresh < oneMonthAgo) {
-            console.log(`User DB ID ${dbMemberId} is eligible for credit refresh.`);
-            
-            const monthlyCredits = memberData.is_paid
-              ? parseInt(process.env.MONTHLY_CREDITS_PAID, 10) || 100
-              : parseInt(process.env.MONTHLY_CREDITS_FREE, 10) || 10;
-            
-            const currentBalance = creditsResult.rows[0]?.credits_balance || creditsRecord.credits_balance;
-            const newBalance = currentBalance + monthlyCredits;
-            
-            creditsResult = await pool.query(`
-              UPDATE member_credits 
-              SET credits_balance = $1, last_refreshed_at = NOW(), updated_at = NOW()
-              WHERE member_id = $2 
-              RETURNING *
-            `, [newBalance, dbMemberId]);
-            
-            // Log the monthly refresh
-            await pool.query(`
-              INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
-              VALUES ($1, $2, $3, $4, $5)
-            `, [
-              dbMemberId,
-              monthlyCredits,
-              'monthly_refresh',
-              newBalance,
-              `Monthly credit refresh: ${memberData.is_paid ? 'paid' : 'free'} member`
-            ]);
+            // Plans removed from the config fall back to the default plan; don't treat that as a move
+            if (previousPlan.key !== currentPlan.key && membershipPlans.byKey.has(existingMember?.plan)) {
+              memberData.plan_change = await handlePlanChange(creditsClient, dbMemberId, previousPlan, currentPlan);
+            }
+
+            // Monthly refreshes are handled by the scheduled refresh job, not on login
           }
+
+          // Credits pre-provisioned by a member import are waiting for this member's first login
+          await applyPendingGrants(
+            creditsClient,
+            dbMemberId,
+            memberData.email || email || authData.email,
+            memberData.id || memberData.community_member_id
+          );
+
+          await creditsClient.query('COMMIT');
+        } catch (creditsError) {
+          await creditsClient.query('ROLLBACK');
+          throw creditsError;
+        } finally {
+          creditsClient.release();
         }
+
+        creditsResult = await pool.query(
+          'SELECT * FROM member_credits WHERE member_id = $1', 
+          [dbMemberId]
+        );
         
         console.log('=== ABOUT TO PROCESS PURCHASE TAGS ===');
         console.log('Current execution point reached');
@@ -702,42 +783,29 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
           if (totalCreditsToAdd > 0) {
             console.log(`Processing ${tagsToProcess.length} new purchase tags for a total of ${totalCreditsToAdd} credits.`);
             
-            await pool.query('BEGIN');
+            const purchaseClient = await pool.connect();
             try {
-              const currentBalance = creditsResult.rows[0].credits_balance;
-              const newBalance = currentBalance + totalCreditsToAdd;
-
-              // 1. Update the balance once
-              await pool.query(`
-                UPDATE member_credits 
-                SET credits_balance = $1, updated_at = NOW() 
-                WHERE member_id = $2
-              `, [newBalance, dbMemberId]);
+              await purchaseClient.query('BEGIN');
 
-              // 2. Log all processed tags and history records
+              // Each tag is its own credit_history row and purchase bucket
+              let purchasedBalance = creditsResult.rows[0].credits_balance;
               for (const purchase of tagsToProcess) {
                 // Log the processed tag for audit purposes (no longer prevents reprocessing)
-                await pool.query(`
+                await purchaseClient.query(`
                   INSERT INTO processed_purchase_tags (member_id, tag_value, credits_granted) 
                   VALUES ($1, $2, $3)
                 `, [dbMemberId, purchase.tag, purchase.credits]);
-                
-                await pool.query(`
-                  INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes) 
-                  VALUES ($1, $2, $3, $4, $5)
-                `, [
-                  dbMemberId, 
-                  purchase.credits, 
-                  'purchase', 
-                  newBalance, 
-                  `One-time purchase: ${purchase.tag}`
-                ]);
+
+                ({ newBalance: purchasedBalance } = await applyCreditChange(purchaseClient, dbMemberId, purchase.credits, {
+                  changeType: 'purchase',
+                  notes: `One-time purchase: ${purchase.tag}`
+                }));
               }
               
-              await pool.query('COMMIT');
+              await purchaseClient.query('COMMIT');
 
               // Update local state for the response
-              creditsResult.rows[0].credits_balance = newBalance;
+              creditsResult.rows[0].credits_balance = purchasedBalance;
               processedTags.push(...tagsToProcess.map(p => p.tag));
               memberData.processed_purchase_tags = processedTags;
               
@@ -757,8 +825,10 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
               }
 
             } catch (txError) {
-              await pool.query('ROLLBACK');
+              await purchaseClient.query('ROLLBACK');
               console.error(`Failed to process batch of purchase tags:`, txError);
+            } finally {
+              purchaseClient.release();
             }
           }
         }
@@ -780,6 +850,9 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
         memberData.is_admin = isAdmin;
         memberData.is_moderator = isModerator;
         
+        // 5. Issue a signed app session bound to this member's database ID
+        appSession = signAppSession(dbMemberId, memberData.id || memberData.community_member_id);
+        
         console.log('Final member data with credits:', {
           db_id: memberData.db_id,
           credits_balance: memberData.credits_balance,
@@ -811,8 +884,10 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
       success: true,
       member: memberData,
       access_token: access_token,
-      refresh_token: authResponse.data.refresh_token,
-      expires_at: authResponse.data.access_token_expires_at
+      refresh_token: authResult.refresh_token,
+      expires_at: authResult.access_token_expires_at,
+      session_token: appSession ? appSession.token : null,
+      session_expires_at: appSession ? appSession.expiresAt.toISOString() : null
     });
 
   } catch (error) {
@@ -820,33 +895,26 @@ app.post('/api/auth', checkIframeEmbedding, async (req, res) => {
     console.error('Error type:', error.constructor.name);
     console.error('Error message:', error.message);
     
-    if (error.response) {
-      console.error('HTTP Error Response:');
-      console.error('  Status:', error.response.status);
-      console.error('  Status Text:', error.response.statusText);
-      console.error('  Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('  Data:', JSON.stringify(error.response.data, null, 2));
-    }
-    
-    if (error.request) {
-      console.error('Request details:');
-      console.error('  Method:', error.request.method);
-      console.error('  URL:', error.request.url || error.request.path);
-      console.error('  Headers:', JSON.stringify(error.request.getHeaders ? error.request.getHeaders() : 'N/A', null, 2));
+    if (error instanceof CircleApiError) {
+      console.error('Circle API error:');
+      console.error('  Code:', error.code);
+      console.error('  Request:', error.method ? `${error.method.toUpperCase()} ${error.url}` : 'N/A');
+      console.error('  Status:', error.status);
+      console.error('  Data:', JSON.stringify(error.data, null, 2));
+    } else {
+      console.error('Full error object:', JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
     }
-    
-    console.error('Full error object:', JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
     console.error('=== AUTH ERROR END ===');
     
-    res.status(error.response?.status || 500).json({ 
+    const isCircleError = error instanceof CircleApiError;
+    res.status(circleErrorStatus(error)).json({ 
       error: 'Authentication failed',
-      details: error.response?.data || error.message,
+      details: (isCircleError && error.data) || error.message,
       debug_info: {
         error_type: error.constructor.name,
-        has_response: !!error.response,
-        has_request: !!error.request,
-        response_status: error.response?.status,
-        response_data: error.response?.data
+        error_code: isCircleError ? error.code : null,
+        response_status: isCircleError ? error.status : null,
+        response_data: isCircleError ? error.data : null
       }
     });
   }
@@ -870,17 +938,9 @@ app.post('/api/auth/cookies', async (req, res) => {
     }
     
     // Use Circle's cookies API to set session cookies
-    const communityDomain = process.env.CIRCLE_COMMUNITY_DOMAIN || 'community.circle.so';
-    const cookiesUrl = `https://${communityDomain}/api/headless/v1/cookies`;
+    console.log('Setting cookies via:', `${circle.config.cookiesBaseUrl}/api/headless/v1/cookies`);
     
-    console.log('Setting cookies via:', cookiesUrl);
-    
-    const cookieResponse = await axios.post(cookiesUrl, {}, {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const cookieResponse = await circle.createSessionCookies(access_token);
     
     console.log('Cookie response status:', cookieResponse.status);
     console.log('Cookie response:', JSON.stringify(cookieResponse.data, null, 2));
@@ -897,33 +957,111 @@ app.post('/api/auth/cookies', async (req, res) => {
     console.error('Error type:', error.constructor.name);
     console.error('Error message:', error.message);
     
-    if (error.response) {
-      console.error('HTTP Error Response:');
-      console.error('  Status:', error.response.status);
-      console.error('  Data:', JSON.stringify(error.response.data, null, 2));
+    if (error instanceof CircleApiError) {
+      console.error('Circle API error:');
+      console.error('  Code:', error.code);
+      console.error('  Status:', error.status);
+      console.error('  Data:', JSON.stringify(error.data, null, 2));
     }
     
     console.error('=== COOKIE AUTH ERROR END ===');
     
-    res.status(error.response?.status || 500).json({ 
+    const isCircleError = error instanceof CircleApiError;
+    res.status(circleErrorStatus(error)).json({ 
       error: 'Cookie authentication failed',
-      details: error.response?.data || error.message
+      details: (isCircleError && error.data) || error.message
     });
   }
 });
 
-// Generate secure admin token for popup window access
-app.post('/api/admin/generate-token', async (req, res) => {
-  try {
-    const { circle_member_id } = req.body;
-    
-    if (!circle_member_id) {
-      return res.status(400).json({
-        error: 'Missing circle_member_id',
-        message: 'Member ID required for admin token generation'
-      });
+// Admin audit log
+// Every non-GET request under /api/admin made by a signed-in admin (or a member asking for an admin
+// session) is recorded in admin_audit_log once the response is sent.
+// Routes add context through req.audit (target member, balances before and after, other details).
+const AUDIT_REDACTED_FIELDS = /token|secret|password/i;
+
+// Copy a request body for the audit log with credentials redacted
+function redactAuditPayload(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+    key,
+    AUDIT_REDACTED_FIELDS.test(key) ? '[redacted]' : value
+  ]));
+}
+
+app.use('/api/admin', (req, res, next) => {
+  if (req.method === 'GET' || !process.env.DATABASE_URL) {
+    return next();
+  }
+
+  req.audit = {};
+
+  res.on('finish', () => {
+    // The actor is the admin session, or the app session when generating an admin token.
+    // Requests rejected before anyone was identified aren't logged, so their payloads are never stored.
+    const actor = req.adminUser || req.audit.actor || null;
+    if (!actor) {
+      return;
     }
 
+    const action = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+    pool.query(`
+      INSERT INTO admin_audit_log (
+        admin_member_id, admin_email, admin_role, admin_session_id, action,
+        target_member_id, request_path, request_payload, balance_before, balance_after,
+        details, response_status, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+      actor ? actor.member_id || actor.id : null,
+      actor ? actor.email : null,
+      actor ? actor.role || null : null,
+      req.adminUser ? req.adminUser.session_id : null,
+      action,
+      req.audit.target_member_id || null,
+      req.originalUrl.split('?')[0],
+      JSON.stringify(redactAuditPayload(req.body)),
+      req.audit.balance_before ?? null,
+      req.audit.balance_after ?? null,
+      req.audit.details ? JSON.stringify(req.audit.details) : null,
+      res.statusCode,
+      req.ip,
+      req.get('user-agent') || null
+    ]).catch(error => {
+      console.error(`Failed to write admin audit log for ${action}:`, error.message);
+    });
+  });
+
+  next();
+});
+
+// Fetch a member's current profile from Circle's community_member endpoint
+// Without an access token, a headless token is minted server-side for the given Circle member ID
+async function fetchCircleMemberProfile({ accessToken = null, circleMemberId = null }) {
+  let token = accessToken;
+
+  if (!token) {
+    const authResult = await circle.createAuthToken({ community_member_id: circleMemberId });
+    token = authResult.access_token;
+  }
+
+  return circle.getCommunityMember(token);
+}
+
+// Generate an admin session for the calling member
+// The caller proves who they are with their app session (Authorization header) or a fresh
+// Circle headless access token (circle_access_token), and admin status is re-checked with Circle.
+app.post('/api/admin/generate-token', (req, res, next) => {
+  if (req.body && req.body.circle_access_token) {
+    return next();
+  }
+  requireMemberSession(req, res, next);
+}, async (req, res) => {
+  try {
     if (!process.env.DATABASE_URL) {
       return res.status(501).json({
         error: 'Database not configured',
@@ -931,44 +1069,123 @@ app.post('/api/admin/generate-token', async (req, res) => {
       });
     }
 
-    // Verify the user is actually an admin in our database
+    if (req.member) {
+      req.audit.actor = { member_id: req.member.id, email: req.member.email };
+    }
+
+    if (!process.env.CIRCLE_API_TOKEN) {
+      return res.status(500).json({ error: 'Circle API token not configured' });
+    }
+
+    // Re-verify the caller's roles with Circle rather than trusting the cached flag
+    let profile;
+    try {
+      profile = req.member
+        ? await fetchCircleMemberProfile({ circleMemberId: req.member.circle_member_id })
+        : await fetchCircleMemberProfile({ accessToken: req.body.circle_access_token });
+    } catch (circleError) {
+      const circleStatus = circleError.status;
+      console.error('Admin verification with Circle failed:', circleStatus || circleError.message);
+
+      if (!req.member && (circleStatus === 401 || circleStatus === 403)) {
+        return res.status(401).json({
+          error: 'Invalid access token',
+          message: 'The Circle access token is invalid or has expired'
+        });
+      }
+
+      return res.status(502).json({
+        error: 'Admin verification failed',
+        message: 'Could not verify admin status with Circle, please try again'
+      });
+    }
+
+    const circleMemberId = String(profile.id || profile.community_member_id || '');
+
+    if (req.member && circleMemberId !== String(req.member.circle_member_id)) {
+      console.warn(`Circle returned member ${circleMemberId} when verifying session member ${req.member.circle_member_id}`);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Admin privileges required'
+      });
+    }
+
     const result = await pool.query(`
-      SELECT is_admin, name, email 
-      FROM members 
-      WHERE circle_member_id = $1 AND is_admin = true
-    `, [circle_member_id]);
+      SELECT m.id, m.is_admin, m.is_moderator, m.name, m.email, ar.role AS assigned_role
+      FROM members m
+      LEFT JOIN admin_roles ar ON ar.member_id = m.id
+      WHERE m.circle_member_id = $1
+    `, [circleMemberId]);
 
     if (result.rows.length === 0) {
-      console.warn(`Admin token generation denied for member ${circle_member_id} - not an admin`);
       return res.status(403).json({
         error: 'Access denied',
-        message: 'Admin privileges required'
+        message: 'Member not found, please open the app from Circle first'
       });
     }
 
-    // Generate secure random token
-    const token = crypto.randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    const member = result.rows[0];
+    const isCircleAdmin = Boolean(profile.roles?.admin || profile.is_admin);
+    const isCircleModerator = Boolean(profile.roles?.moderator || profile.is_moderator);
+    const wasStaff = member.is_admin || member.is_moderator;
 
-    // Store token with admin info
-    adminTokens.set(token, {
-      circle_member_id,
-      name: result.rows[0].name,
-      email: result.rows[0].email,
-      expiresAt,
-      createdAt: new Date()
+    // Keep the cached flags in sync with Circle
+    if (member.is_admin !== isCircleAdmin || member.is_moderator !== isCircleModerator) {
+      await pool.query(`
+        UPDATE members SET is_admin = $1, is_moderator = $2, updated_at = NOW() WHERE id = $3
+      `, [isCircleAdmin, isCircleModerator, member.id]);
+      console.log(`Updated cached roles for ${member.email}: admin ${member.is_admin} -> ${isCircleAdmin}, moderator ${member.is_moderator} -> ${isCircleModerator}`);
+    }
+
+    const role = resolveAdminRole({
+      assigned_role: member.assigned_role,
+      is_admin: isCircleAdmin,
+      is_moderator: isCircleModerator
     });
 
-    console.log(`Admin token generated for ${result.rows[0].name} (${result.rows[0].email}), expires at ${expiresAt.toISOString()}`);
+    req.audit.actor = { member_id: member.id, email: member.email, role };
+    req.audit.target_member_id = member.id;
+    req.audit.details = { circle_admin: isCircleAdmin, circle_moderator: isCircleModerator };
+
+    if (!role) {
+      // A demoted admin loses any admin sessions they still hold
+      if (wasStaff) {
+        await pool.query(`
+          UPDATE admin_sessions SET revoked_at = NOW() WHERE member_id = $1 AND revoked_at IS NULL
+        `, [member.id]);
+      }
+
+      console.warn(`Admin token generation denied for member ${circleMemberId} - not an admin or moderator in Circle`);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Admin privileges required'
+      });
+    }
+
+    // Generate secure random token; only its hash is stored
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const sessionResult = await pool.query(`
+      INSERT INTO admin_sessions (token_hash, member_id, user_agent, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+      RETURNING id, expires_at
+    `, [
+      hashAdminToken(token),
+      member.id,
+      req.get('user-agent') || null,
+      req.ip,
+      ADMIN_SESSION_IDLE_MINUTES
+    ]);
+    const expiresAt = sessionResult.rows[0].expires_at;
 
-    // Clean up expired tokens periodically
-    cleanupExpiredTokens();
+    console.log(`Admin session ${sessionResult.rows[0].id} created for ${member.name} (${member.email}) as ${role}, expires at ${expiresAt.toISOString()}`);
 
+    // The token goes in the URL fragment, which browsers never send to the server
     res.json({
       success: true,
       token,
       expiresAt: expiresAt.toISOString(),
-      adminUrl: `/admin.html?token=${token}`
+      adminUrl: `/admin.html#token=${token}`
     });
 
   } catch (error) {
@@ -980,14 +1197,57 @@ app.post('/api/admin/generate-token', async (req, res) => {
   }
 });
 
-// Helper function to clean up expired tokens
-function cleanupExpiredTokens() {
-  const now = new Date();
-  for (const [token, data] of adminTokens.entries()) {
-    if (data.expiresAt < now) {
-      adminTokens.delete(token);
+// Hash an admin session token for storage and lookup
+function hashAdminToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Parse a Cookie header into a name -> value object
+function parseCookies(cookieHeader) {
+  const cookies = {};
+
+  for (const part of (cookieHeader || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
     }
   }
+
+  return cookies;
+}
+
+// Set or clear the HttpOnly admin session cookie (scoped to the admin API)
+function setAdminSessionCookie(res, token) {
+  const attributes = [
+    'HttpOnly',
+    'SameSite=Strict',
+    'Path=/api/admin',
+    token ? `Max-Age=${ADMIN_SESSION_MAX_HOURS * 60 * 60}` : 'Max-Age=0'
+  ];
+
+  if (process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+  }
+
+  res.append('Set-Cookie', `${ADMIN_SESSION_COOKIE}=${token || ''}; ${attributes.join('; ')}`);
+}
+
+// Delete admin sessions that expired or were revoked more than a week ago
+async function cleanupAdminSessions() {
+  const result = await pool.query(`
+    DELETE FROM admin_sessions
+    WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '7 days'
+  `);
+
+  if (result.rowCount > 0) {
+    console.log(`Deleted ${result.rowCount} old admin sessions`);
+  }
 }
 
 // Check if user has valid Circle session cookies
@@ -1030,25 +1290,667 @@ app.get('/api/member/check', async (req, res) => {
   }
 });
 
-// Credit system endpoints
-// Get member's current credit balance
-app.get('/api/credits/:circle_member_id', async (req, res) => {
+// Member endpoints - require database and a valid app session
+// The member is always derived from the session, never from the URL or body
+async function requireMemberSession(req, res, next) {
+  if (!process.env.DATABASE_URL) {
+    return res.status(501).json({
+      error: 'Database not configured',
+      message: 'Credit system requires database configuration'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Session required',
+      message: 'A valid app session is required to access this endpoint'
+    });
+  }
+
+  const claims = verifyAppSession(token);
+  if (!claims) {
+    return res.status(401).json({
+      error: 'Invalid session',
+      message: 'App session is invalid or has expired, please authenticate again'
+    });
+  }
+
   try {
-    const { circle_member_id } = req.params;
-    
-    if (!process.env.DATABASE_URL) {
-      return res.status(501).json({
-        error: 'Database not configured',
-        message: 'Credit system requires database configuration'
+    const result = await pool.query(`
+      SELECT id, circle_member_id, email, name
+      FROM members
+      WHERE id = $1
+    `, [claims.sub]);
+
+    const member = result.rows[0];
+    if (!member || String(member.circle_member_id) !== claims.circle_member_id) {
+      return res.status(401).json({
+        error: 'Invalid session',
+        message: 'App session does not match a known member'
       });
     }
 
-    const result = await pool.query(`
-      SELECT mc.credits_balance, mc.last_refreshed_at, m.name, m.email, m.is_paid
-      FROM member_credits mc
+    // Reject requests that name a different member than the session
+    const requestedMemberId = req.params.circle_member_id || (req.body && req.body.circle_member_id);
+    if (requestedMemberId && String(requestedMemberId) !== String(member.circle_member_id)) {
+      console.warn(`Session member ${member.circle_member_id} attempted to access member ${requestedMemberId}`);
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'The requested member does not match your session'
+      });
+    }
+
+    req.member = member;
+    next();
+  } catch (error) {
+    console.error('Session lookup error:', error.message);
+    res.status(500).json({
+      error: 'Failed to verify session',
+      details: error.message
+    });
+  }
+}
+
+// Refund window for member-initiated refunds (admins can refund at any time)
+const REFUND_WINDOW_MINUTES = parseInt(process.env.REFUND_WINDOW_MINUTES, 10) || 15;
+
+// Grant buckets: every credit added lands in a credit_grants bucket with its own expiry,
+// and every debit consumes the soonest-expiring buckets first.
+// credits_balance always equals the sum of amount_remaining across a member's buckets.
+function parseExpiryDays(value) {
+  const days = parseInt(value, 10);
+  return days > 0 ? days : null;
+}
+
+// Days until a bucket expires, by source (unset or 0 = never expires)
+// Upgrade bonuses top up the initial allowance, so they share its expiry
+const CREDIT_EXPIRY_DAYS = {
+  initial: parseExpiryDays(process.env.CREDIT_EXPIRY_DAYS_INITIAL),
+  upgrade_bonus: parseExpiryDays(process.env.CREDIT_EXPIRY_DAYS_INITIAL),
+  monthly: parseExpiryDays(process.env.CREDIT_EXPIRY_DAYS_MONTHLY),
+  purchase: parseExpiryDays(process.env.CREDIT_EXPIRY_DAYS_PURCHASE),
+  admin_bonus: parseExpiryDays(process.env.CREDIT_EXPIRY_DAYS_ADMIN_BONUS)
+};
+
+// Maximum unused monthly credits carried into a new month (unset = no cap)
+const MONTHLY_ROLLOVER_CAP = /^\d+$/.test(process.env.MONTHLY_ROLLOVER_CAP || '')
+  ? parseInt(process.env.MONTHLY_ROLLOVER_CAP, 10)
+  : null;
+
+// Which bucket a credit addition lands in
+// Refunds get their own bucket that never expires, so a refund can't hand back already-expired credits.
+// Upgrade bonuses get their own bucket so a downgrade can claw back exactly what's unused.
+// Manual adjustments are corrections and imports carry balances over from elsewhere, so neither expires.
+const GRANT_SOURCE_BY_CHANGE_TYPE = {
+  initial_grant: 'initial',
+  upgrade_bonus: 'upgrade_bonus',
+  monthly_refresh: 'monthly',
+  admin_refresh: 'monthly',
+  purchase: 'purchase',
+  admin_bonus: 'admin_bonus',
+  bulk_grant: 'admin_bonus',
+  manual_adjustment: 'adjustment',
+  import_grant: 'import',
+  refund: 'refund'
+};
+
+// Take credits out of a member's buckets, soonest-expiring first
+// Pass sourceType to only consume buckets of that type, or grantId to only consume that bucket
+async function consumeCreditGrants(client, memberId, amount, sourceType = null, grantId = null) {
+  const grantsResult = await client.query(`
+    SELECT id, amount_remaining
+    FROM credit_grants
+    WHERE member_id = $1 AND amount_remaining > 0
+      AND ($2::text IS NULL OR source_type = $2)
+      AND ($3::bigint IS NULL OR id = $3)
+    ORDER BY expires_at ASC NULLS LAST, created_at ASC, id ASC
+    FOR UPDATE
+  `, [memberId, sourceType, grantId]);
+
+  let remaining = amount;
+
+  for (const grant of grantsResult.rows) {
+    if (remaining <= 0) break;
+
+    const taken = Math.min(grant.amount_remaining, remaining);
+    await client.query(`
+      UPDATE credit_grants 
+      SET amount_remaining = amount_remaining - $1
+      WHERE id = $2
+    `, [taken, grant.id]);
+    remaining -= taken;
+  }
+
+  if (remaining > 0) {
+    console.warn(`Credit grants for member ${memberId} were ${remaining} credits short of the balance being debited`);
+  }
+}
+
+// Apply a balance change inside an open transaction and log it to credit_history
+// Locks the member_credits row until the transaction ends.
+// Positive changes open a grant bucket; negative changes consume buckets (restricted to grantSource or grantId if given).
+// The log_member_credits_changes trigger writes the ledger row from the context set here (migration 0002),
+// so each change is logged exactly once; actor is 'system', 'member <email>' or 'admin <email>'.
+async function applyCreditChange(client, memberId, changeAmount, { changeType, notes = null, referenceId = null, actor = 'system', grantSource = null, grantId = null }) {
+  const creditsResult = await client.query(`
+    SELECT credits_balance FROM member_credits WHERE member_id = $1 FOR UPDATE
+  `, [memberId]);
+
+  if (creditsResult.rows.length === 0) {
+    throw new Error('Credit record not found');
+  }
+
+  const previousBalance = creditsResult.rows[0].credits_balance;
+  const newBalance = previousBalance + changeAmount;
+
+  if (newBalance < 0) {
+    throw new Error('Insufficient credits');
+  }
+
+  let historyId;
+
+  if (changeAmount === 0) {
+    // The balance doesn't move, so the trigger won't fire; log the (e.g. zero-cost capture) row directly
+    const historyResult = await client.query(`
+      INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes, actor)
+      VALUES ($1, 0, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [memberId, changeType, newBalance, referenceId, notes, actor]);
+    historyId = historyResult.rows[0].id;
+  } else {
+    await client.query(`
+      SELECT set_config('app.credit_change_type', $1, true),
+             set_config('app.credit_notes', $2, true),
+             set_config('app.credit_reference_id', $3, true),
+             set_config('app.credit_actor', $4, true)
+    `, [changeType, notes || '', referenceId === null ? '' : String(referenceId), actor || '']);
+
+    await client.query(`
+      UPDATE member_credits 
+      SET credits_balance = $1, updated_at = NOW()
+      WHERE member_id = $2
+    `, [newBalance, memberId]);
+
+    const historyResult = await client.query(`SELECT current_setting('app.credit_history_id')::bigint AS id`);
+    historyId = historyResult.rows[0].id;
+  }
+
+  if (changeAmount > 0) {
+    const sourceType = grantSource || GRANT_SOURCE_BY_CHANGE_TYPE[changeType] || 'admin_bonus';
+    const expiryDays = CREDIT_EXPIRY_DAYS[sourceType] || null;
+
+    await client.query(`
+      INSERT INTO credit_grants (member_id, source_type, amount_granted, amount_remaining, expires_at, credit_history_id)
+      VALUES ($1, $2, $3, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $4::int) END, $5)
+    `, [memberId, sourceType, changeAmount, expiryDays, historyId]);
+  } else if (changeAmount < 0) {
+    await consumeCreditGrants(client, memberId, -changeAmount, grantSource, grantId);
+  }
+
+  return {
+    previousBalance,
+    newBalance,
+    historyId
+  };
+}
+
+// What happens to a member's credits when they move to a lower plan:
+// 'keep' leaves the balance alone, 'cap' trims it to the new plan's initial_credits,
+// 'clawback' removes whatever is left of their upgrade bonuses
+const DOWNGRADE_POLICIES = ['keep', 'cap', 'clawback'];
+const DOWNGRADE_POLICY = DOWNGRADE_POLICIES.includes(process.env.DOWNGRADE_POLICY)
+  ? process.env.DOWNGRADE_POLICY
+  : 'keep';
+
+if (process.env.DOWNGRADE_POLICY && !DOWNGRADE_POLICIES.includes(process.env.DOWNGRADE_POLICY)) {
+  console.warn(`Unknown DOWNGRADE_POLICY "${process.env.DOWNGRADE_POLICY}", using "keep"`);
+}
+
+// Grant or remove credits for a plan change and record it in tier_changes
+// Runs inside the caller's transaction. Each plan's upgrade bonus is granted at most once per member,
+// and credits reserved by active holds are never removed.
+async function handlePlanChange(client, memberId, previousPlan, currentPlan) {
+  const direction = currentPlan.rank > previousPlan.rank ? 'upgrade' : 'downgrade';
+  let creditsChange = 0;
+  let policy = null;
+  let notes;
+
+  if (direction === 'upgrade') {
+    // Top up to the new plan's initial allowance
+    const upgradeBonus = currentPlan.initial_credits - previousPlan.initial_credits;
+
+    if (upgradeBonus <= 0) {
+      notes = 'No upgrade bonus for this plan';
+    } else {
+      const bonusResult = await client.query(`
+        INSERT INTO member_plan_bonuses (member_id, plan, credits_granted)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (member_id, plan) DO NOTHING
+        RETURNING id
+      `, [memberId, currentPlan.key, upgradeBonus]);
+
+      if (bonusResult.rows.length === 0) {
+        notes = `Upgrade bonus for ${currentPlan.name} was already granted`;
+      } else {
+        const { historyId } = await applyCreditChange(client, memberId, upgradeBonus, {
+          changeType: 'upgrade_bonus',
+          notes: `Credit bonus for upgrading from ${previousPlan.name} to ${currentPlan.name}`
+        });
+
+        await client.query(`
+          UPDATE member_plan_bonuses SET credit_history_id = $1 WHERE id = $2
+        `, [historyId, bonusResult.rows[0].id]);
+
+        creditsChange = upgradeBonus;
+        notes = `Granted ${upgradeBonus} upgrade bonus credits`;
+      }
+    }
+  } else {
+    policy = DOWNGRADE_POLICY;
+
+    const creditsResult = await client.query(`
+      SELECT mc.credits_balance, mc.credits_held,
+             (SELECT COALESCE(SUM(amount_remaining), 0)::int FROM credit_grants
+              WHERE member_id = mc.member_id AND source_type = 'upgrade_bonus') AS bonus_remaining
+      FROM member_credits mc
+      WHERE mc.member_id = $1
+      FOR UPDATE
+    `, [memberId]);
+    const { credits_balance, credits_held, bonus_remaining } = creditsResult.rows[0];
+    const available = credits_balance - credits_held;
+
+    let removable = 0;
+    if (policy === 'cap') {
+      removable = credits_balance - currentPlan.initial_credits;
+    } else if (policy === 'clawback') {
+      removable = bonus_remaining;
+    }
+    removable = Math.min(removable, available);
+
+    if (removable > 0) {
+      await applyCreditChange(client, memberId, -removable, {
+        changeType: 'downgrade_adjustment',
+        grantSource: policy === 'clawback' ? 'upgrade_bonus' : null,
+        notes: policy === 'cap'
+          ? `Balance capped at ${currentPlan.initial_credits} after downgrading to ${currentPlan.name}`
+          : `Unused upgrade bonus removed after downgrading to ${currentPlan.name}`
+      });
+      creditsChange = -removable;
+    }
+
+    notes = removable > 0
+      ? `Removed ${removable} credits (${policy} policy)`
+      : `No credits removed (${policy} policy)`;
+  }
+
+  await client.query(`
+    INSERT INTO tier_changes (member_id, from_plan, to_plan, direction, policy, credits_change, notes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [memberId, previousPlan.key, currentPlan.key, direction, policy, creditsChange, notes]);
+
+  console.log(`Plan change for member ${memberId}: ${previousPlan.key} -> ${currentPlan.key} (${notes})`);
+
+  return { direction, policy, credits_change: creditsChange };
+}
+
+// Refund a credit spend: mark the action as failed and return its credits atomically
+// Pass memberId to restrict the refund to that member's own actions
+async function refundAction(actionId, { memberId = null, reason, refundedBy, windowMinutes = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the action row so concurrent refunds of the same action serialize
+    const actionResult = await client.query(`
+      SELECT id, member_id, action_type, credits_cost, success, refunded_at, created_at
+      FROM app_actions
+      WHERE id = $1
+      FOR UPDATE
+    `, [actionId]);
+
+    const action = actionResult.rows[0];
+
+    if (!action || (memberId && String(action.member_id) !== String(memberId))) {
+      throw new Error('Action not found');
+    }
+
+    if (action.refunded_at) {
+      throw new Error('Action already refunded');
+    }
+
+    if (!action.success) {
+      throw new Error('Only successful actions can be refunded');
+    }
+
+    // Held credits haven't been spent yet; the hold must be captured or released instead
+    const holdResult = await client.query(`
+      SELECT status FROM credit_holds WHERE action_id = $1
+    `, [action.id]);
+
+    if (holdResult.rows[0] && holdResult.rows[0].status === 'held') {
+      throw new Error('Action has an active credit hold');
+    }
+
+    if (windowMinutes && new Date(action.created_at) < new Date(Date.now() - windowMinutes * 60 * 1000)) {
+      throw new Error('Refund window has expired');
+    }
+
+    await client.query(`
+      UPDATE app_actions 
+      SET success = false, error_message = $1, refunded_at = NOW()
+      WHERE id = $2
+    `, [reason, action.id]);
+
+    const { newBalance } = await applyCreditChange(client, action.member_id, action.credits_cost, {
+      changeType: 'refund',
+      referenceId: action.id,
+      notes: `Refund of ${action.action_type} by ${refundedBy}: ${reason}`,
+      actor: refundedBy
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`Refunded action ${action.id} (${action.credits_cost} credits) for member DB ID ${action.member_id} by ${refundedBy}`);
+
+    return {
+      action_id: action.id,
+      credits_refunded: action.credits_cost,
+      credits_remaining: newBalance
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Map refund errors to HTTP status codes
+function refundErrorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message === 'Action already refunded') return 409;
+  if (error.message === 'Action has an active credit hold') return 409;
+  if (error.message === 'Refund window has expired') return 403;
+  if (error.message === 'Only successful actions can be refunded') return 400;
+  // Unique index on refund history rows: a concurrent refund won the race
+  if (error.code === '23505') return 409;
+  return 500;
+}
+
+// Idempotency keys let clients safely retry credit-changing requests
+// Keys are scoped per member and endpoint, and replay the first response
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// Read the idempotency key from the Idempotency-Key header or body field
+// Returns null when absent and false when invalid
+function getIdempotencyKey(req) {
+  const key = req.headers['idempotency-key'] || (req.body && req.body.idempotency_key);
+
+  if (!key) {
+    return null;
+  }
+
+  return String(key).length <= 255 ? String(key) : false;
+}
+
+// Claim an idempotency key inside an open transaction
+// Returns the stored response if the key was already used, otherwise null.
+// A concurrent request with the same key waits on the unique index until the
+// first transaction finishes, then sees its stored response.
+async function claimIdempotencyKey(client, memberId, scope, key) {
+  // Keys past their retention window are reclaimed as if new
+  const claimResult = await client.query(`
+    INSERT INTO idempotency_keys (member_id, scope, idempotency_key)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (member_id, scope, idempotency_key)
+    DO UPDATE SET response_status = NULL, response_body = NULL, created_at = NOW()
+    WHERE idempotency_keys.created_at < NOW() - make_interval(hours => $4)
+    RETURNING id
+  `, [memberId, scope, key, IDEMPOTENCY_KEY_TTL_HOURS]);
+
+  if (claimResult.rows.length > 0) {
+    return null;
+  }
+
+  const existingResult = await client.query(`
+    SELECT response_status, response_body
+    FROM idempotency_keys
+    WHERE member_id = $1 AND scope = $2 AND idempotency_key = $3
+  `, [memberId, scope, key]);
+
+  return existingResult.rows[0];
+}
+
+// Store the response for a claimed idempotency key (same transaction as the claim)
+async function storeIdempotentResponse(client, memberId, scope, key, status, body) {
+  await client.query(`
+    UPDATE idempotency_keys 
+    SET response_status = $1, response_body = $2
+    WHERE member_id = $3 AND scope = $4 AND idempotency_key = $5
+  `, [status, JSON.stringify(body), memberId, scope, key]);
+}
+
+// Delete idempotency keys past their retention window
+async function cleanupIdempotencyKeys() {
+  const result = await pool.query(`
+    DELETE FROM idempotency_keys 
+    WHERE created_at < NOW() - make_interval(hours => $1)
+  `, [IDEMPOTENCY_KEY_TTL_HOURS]);
+
+  if (result.rowCount > 0) {
+    console.log(`Deleted ${result.rowCount} expired idempotency keys`);
+  }
+}
+
+// Look up the price of an action for a member's plan
+// The plan's action_pricing overrides the catalog; otherwise the catalog's paid or free price applies.
+// Throws for action types that aren't in the catalog or are inactive
+async function getActionPrice(client, actionType, plan) {
+  const pricingResult = await client.query(`
+    SELECT credits_cost_free, credits_cost_paid
+    FROM action_pricing
+    WHERE action_type = $1 AND is_active = true
+  `, [actionType]);
+
+  if (pricingResult.rows.length === 0) {
+    throw new Error(`Unknown action type: ${actionType}`);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(plan.action_pricing, actionType)) {
+    return plan.action_pricing[actionType];
+  }
+
+  const pricing = pricingResult.rows[0];
+  return plan.is_paid ? pricing.credits_cost_paid : pricing.credits_cost_free;
+}
+
+// Validate an action pricing payload from the admin API
+// With partial = true (updates), missing fields are allowed
+function validatePricingInput(body, partial = false) {
+  const errors = [];
+
+  if (!partial || body.action_type !== undefined) {
+    if (!body.action_type || !/^[a-z0-9_]{1,50}$/.test(body.action_type)) {
+      errors.push('action_type must be 1-50 lowercase letters, digits or underscores');
+    }
+  }
+
+  for (const field of ['credits_cost_free', 'credits_cost_paid']) {
+    if (!partial || body[field] !== undefined) {
+      if (!Number.isInteger(body[field]) || body[field] < 0) {
+        errors.push(`${field} must be a non-negative integer`);
+      }
+    }
+  }
+
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    errors.push('is_active must be a boolean');
+  }
+
+  return errors;
+}
+
+// Credit hold configuration (two-phase reservations for long-running actions)
+const CREDIT_HOLD_TTL_MINUTES = parseInt(process.env.CREDIT_HOLD_TTL_MINUTES, 10) || 30;
+const CREDIT_HOLD_MAX_TTL_MINUTES = parseInt(process.env.CREDIT_HOLD_MAX_TTL_MINUTES, 10) || 1440;
+
+// Lock a hold row for update, checking ownership when memberId is given
+async function lockCreditHold(client, holdId, memberId = null) {
+  const holdResult = await client.query(`
+    SELECT * FROM credit_holds WHERE id = $1 FOR UPDATE
+  `, [holdId]);
+
+  const hold = holdResult.rows[0];
+
+  if (!hold || (memberId && String(hold.member_id) !== String(memberId))) {
+    throw new Error('Hold not found');
+  }
+
+  return hold;
+}
+
+// Return a hold's reserved credits to the available balance without spending them
+// status is 'released' (explicit release) or 'expired' (TTL elapsed)
+async function releaseCreditHold(client, hold, status, actor = 'system') {
+  const creditsResult = await client.query(`
+    UPDATE member_credits 
+    SET credits_held = credits_held - $1, updated_at = NOW()
+    WHERE member_id = $2
+    RETURNING credits_balance
+  `, [hold.amount_held, hold.member_id]);
+
+  await client.query(`
+    UPDATE credit_holds 
+    SET status = $1, resolved_at = NOW()
+    WHERE id = $2
+  `, [status, hold.id]);
+
+  await client.query(`
+    UPDATE app_actions 
+    SET success = false, error_message = $1
+    WHERE id = $2
+  `, [status === 'expired' ? 'Credit hold expired before capture' : 'Credit hold released', hold.action_id]);
+
+  await client.query(`
+    INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes, actor)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    hold.member_id,
+    0,
+    status === 'expired' ? 'hold_expired' : 'hold_released',
+    creditsResult.rows[0].credits_balance,
+    hold.action_id,
+    `${status === 'expired' ? 'Expired' : 'Released'} hold of ${hold.amount_held} credits for ${hold.action_type}`,
+    actor
+  ]);
+}
+
+// Expire all holds past their expiry time
+// SKIP LOCKED lets several server instances sweep concurrently
+async function expireCreditHolds() {
+  const client = await pool.connect();
+  let expiredCount = 0;
+
+  try {
+    while (true) {
+      await client.query('BEGIN');
+
+      const holdResult = await client.query(`
+        SELECT * FROM credit_holds
+        WHERE status = 'held' AND expires_at <= NOW()
+        ORDER BY expires_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `);
+
+      if (holdResult.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+
+      await releaseCreditHold(client, holdResult.rows[0], 'expired');
+      await client.query('COMMIT');
+      expiredCount++;
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (expiredCount > 0) {
+    console.log(`Expired ${expiredCount} credit holds`);
+  }
+  return expiredCount;
+}
+
+// Map credit hold errors to HTTP status codes
+function holdErrorStatus(error) {
+  if (error.message === 'Insufficient credits') return 402;
+  if (error.message.startsWith('Unknown action type')) return 400;
+  if (error.message.includes('is free and doesn\'t need a hold')) return 400;
+  if (error.message.includes('not found')) return 404;
+  if (error.message === 'Hold is no longer active') return 409;
+  if (error.message === 'Hold has expired') return 410;
+  if (error.message.startsWith('Invalid capture amount')) return 400;
+  return 500;
+}
+
+// Credit system endpoints
+// List the member's credit holds
+// Registered before /api/credits/:circle_member_id so "holds" isn't taken as a member ID
+app.get('/api/credits/holds', requireMemberSession, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = `
+      SELECT id, action_id, action_type, amount_held, amount_captured, status,
+             metadata, expires_at, resolved_at, created_at
+      FROM credit_holds
+      WHERE member_id = $1
+    `;
+    const params = [req.member.id];
+
+    if (status) {
+      query += ` AND status = $${params.length + 1}`;
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT 100';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      holds: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get credit holds error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch credit holds',
+      details: error.message
+    });
+  }
+});
+
+// Get member's current credit balance
+app.get('/api/credits/:circle_member_id', requireMemberSession, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT mc.credits_balance, mc.credits_held,
+             mc.credits_balance - mc.credits_held as credits_available,
+             mc.last_refreshed_at, m.name, m.email, m.is_paid, m.plan
+      FROM member_credits mc
       JOIN members m ON mc.member_id = m.id
-      WHERE m.circle_member_id = $1
-    `, [circle_member_id]);
+      WHERE m.id = $1
+    `, [req.member.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -1057,9 +1959,22 @@ app.get('/api/credits/:circle_member_id', async (req, res) => {
       });
     }
 
+    // Buckets that will expire, soonest first
+    const expiringResult = await pool.query(`
+      SELECT source_type, amount_remaining, expires_at
+      FROM credit_grants
+      WHERE member_id = $1 AND amount_remaining > 0 AND expires_at IS NOT NULL
+      ORDER BY expires_at ASC
+      LIMIT 10
+    `, [req.member.id]);
+
     res.json({
       success: true,
-      credits: result.rows[0]
+      credits: {
+        ...result.rows[0],
+        plan_name: getPlan(result.rows[0].plan).name,
+        upcoming_expirations: expiringResult.rows
+      }
     });
 
   } catch (error) {
@@ -1072,21 +1987,23 @@ app.get('/api/credits/:circle_member_id', async (req, res) => {
 });
 
 // Spend credits for an action
-app.post('/api/credits/spend', async (req, res) => {
+app.post('/api/credits/spend', requireMemberSession, async (req, res) => {
   try {
-    const { circle_member_id, action_type, credits_cost = 1, metadata = {} } = req.body;
-    
-    if (!process.env.DATABASE_URL) {
-      return res.status(501).json({
-        error: 'Database not configured',
-        message: 'Credit system requires database configuration'
+    // Prices come from the action_pricing catalog; any client-supplied credits_cost is ignored
+    const { action_type, metadata = {} } = req.body;
+    const idempotencyKey = getIdempotencyKey(req);
+
+    if (!action_type) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'action_type is required'
       });
     }
 
-    if (!circle_member_id || !action_type) {
+    if (idempotencyKey === false) {
       return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'circle_member_id and action_type are required'
+        error: 'Invalid idempotency key',
+        message: 'Idempotency keys must be at most 255 characters'
       });
     }
 
@@ -1095,34 +2012,38 @@ app.post('/api/credits/spend', async (req, res) => {
     
     try {
       await client.query('BEGIN');
+
+      // Replay the original response if this key was already used
+      if (idempotencyKey) {
+        const replay = await claimIdempotencyKey(client, req.member.id, 'credits_spend', idempotencyKey);
+        if (replay) {
+          await client.query('COMMIT');
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(replay.response_status).json(replay.response_body);
+        }
+      }
       
       // Get member and current credits
       const memberResult = await client.query(`
-        SELECT m.id, mc.credits_balance 
+        SELECT m.id, m.plan, mc.credits_balance, mc.credits_held 
         FROM members m
         JOIN member_credits mc ON m.id = mc.member_id
-        WHERE m.circle_member_id = $1
+        WHERE m.id = $1
         FOR UPDATE
-      `, [circle_member_id]);
+      `, [req.member.id]);
 
       if (memberResult.rows.length === 0) {
         throw new Error('Member or credit record not found');
       }
 
-      const { id: memberId, credits_balance } = memberResult.rows[0];
+      const { id: memberId, plan, credits_balance, credits_held } = memberResult.rows[0];
+      const credits_cost = await getActionPrice(client, action_type, getPlan(plan));
       
-      if (credits_balance < credits_cost) {
+      // Credits reserved by active holds are not available for spending
+      if (credits_balance - credits_held < credits_cost) {
         throw new Error('Insufficient credits');
       }
 
-      // Deduct credits
-      const newBalance = credits_balance - credits_cost;
-      await client.query(`
-        UPDATE member_credits 
-        SET credits_balance = $1, updated_at = NOW()
-        WHERE member_id = $2
-      `, [newBalance, memberId]);
-
       // Log the action
       const actionResult = await client.query(`
         INSERT INTO app_actions (member_id, action_type, credits_cost, metadata, success)
@@ -1130,28 +2051,29 @@ app.post('/api/credits/spend', async (req, res) => {
         RETURNING id, created_at
       `, [memberId, action_type, credits_cost, JSON.stringify(metadata), true]);
 
-      // Log credit history
-      await client.query(`
-        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [
-        memberId,
-        -credits_cost,
-        'action_cost',
-        newBalance,
-        actionResult.rows[0].id,
-        `Credits spent on ${action_type}`
-      ]);
-
-      await client.query('COMMIT');
+      // Deduct credits from the soonest-expiring grant buckets and log credit history
+      const { newBalance } = await applyCreditChange(client, memberId, -credits_cost, {
+        changeType: 'action_cost',
+        notes: `Credits spent on ${action_type}`,
+        referenceId: actionResult.rows[0].id,
+        actor: `member ${req.member.email}`
+      });
 
-      res.json({
+      const responseBody = {
         success: true,
         action_id: actionResult.rows[0].id,
         credits_spent: credits_cost,
         credits_remaining: newBalance,
         timestamp: actionResult.rows[0].created_at
-      });
+      };
+
+      if (idempotencyKey) {
+        await storeIdempotentResponse(client, memberId, 'credits_spend', idempotencyKey, 200, responseBody);
+      }
+
+      await client.query('COMMIT');
+
+      res.json(responseBody);
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -1164,6 +2086,7 @@ app.post('/api/credits/spend', async (req, res) => {
     console.error('Spend credits error:', error.message);
     
     const statusCode = error.message === 'Insufficient credits' ? 402 : 
+                      error.message.startsWith('Unknown action type') ? 400 :
                       error.message.includes('not found') ? 404 : 500;
     
     res.status(statusCode).json({
@@ -1174,425 +2097,3828 @@ app.post('/api/credits/spend', async (req, res) => {
   }
 });
 
-// Get member's action history
-app.get('/api/actions/:circle_member_id', async (req, res) => {
+// Refund a recent credit spend (e.g. when the downstream action failed)
+app.post('/api/credits/refund', requireMemberSession, async (req, res) => {
   try {
-    const { circle_member_id } = req.params;
-    const { limit = 50, offset = 0, action_type } = req.query;
-    
-    if (!process.env.DATABASE_URL) {
-      return res.status(501).json({
-        error: 'Database not configured',
-        message: 'Action history requires database configuration'
+    const { action_id } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!action_id) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'action_id is required'
       });
     }
 
-    let query = `
-      SELECT a.id, a.action_type, a.credits_cost, a.metadata, a.success, 
-             a.error_message, a.created_at
-      FROM app_actions a
-      JOIN members m ON a.member_id = m.id
-      WHERE m.circle_member_id = $1
-    `;
-    
-    const params = [circle_member_id];
-    
-    if (action_type) {
-      query += ` AND a.action_type = $${params.length + 1}`;
-      params.push(action_type);
+    if ((req.body.reason != null && typeof req.body.reason !== 'string') || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Invalid reason',
+        message: 'reason must be text of up to 500 characters'
+      });
     }
-    
-    query += ` ORDER BY a.created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(parseInt(limit), parseInt(offset));
 
-    const result = await pool.query(query, params);
+    const refund = await refundAction(action_id, {
+      memberId: req.member.id,
+      reason: reason || 'Refund requested by member',
+      refundedBy: `member ${req.member.email}`,
+      windowMinutes: REFUND_WINDOW_MINUTES
+    });
 
     res.json({
       success: true,
-      actions: result.rows,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        count: result.rows.length
-      }
+      ...refund
+    });
+
+  } catch (error) {
+    console.error('Refund credits error:', error.message);
+
+    const statusCode = refundErrorStatus(error);
+
+    res.status(statusCode).json({
+      error: 'Failed to refund credits',
+      message: error.code === '23505' ? 'Action already refunded' : error.message,
+      details: statusCode === 500 ? error.message : undefined
+    });
+  }
+});
+
+// Place a hold on credits for a long-running action
+// Held credits stay in the balance but can't be spent until captured or released.
+// The hold amount is the catalog price for the action, which caps the final cost.
+app.post('/api/credits/holds', requireMemberSession, async (req, res) => {
+  try {
+    const { action_type, ttl_minutes, metadata = {} } = req.body;
+
+    if (!action_type) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'action_type is required'
+      });
+    }
+
+    const ttlMinutes = Math.min(
+      parseInt(ttl_minutes, 10) || CREDIT_HOLD_TTL_MINUTES,
+      CREDIT_HOLD_MAX_TTL_MINUTES
+    );
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const creditsResult = await client.query(`
+        SELECT mc.credits_balance, mc.credits_held, m.plan
+        FROM member_credits mc
+        JOIN members m ON mc.member_id = m.id
+        WHERE mc.member_id = $1
+        FOR UPDATE OF mc
+      `, [req.member.id]);
+
+      if (creditsResult.rows.length === 0) {
+        throw new Error('Credit record not found');
+      }
+
+      const { credits_balance, credits_held, plan } = creditsResult.rows[0];
+      const amountToHold = await getActionPrice(client, action_type, getPlan(plan));
+
+      if (amountToHold <= 0) {
+        throw new Error(`Action type ${action_type} is free and doesn't need a hold`);
+      }
+
+      if (credits_balance - credits_held < amountToHold) {
+        throw new Error('Insufficient credits');
+      }
+
+      await client.query(`
+        UPDATE member_credits 
+        SET credits_held = credits_held + $1, updated_at = NOW()
+        WHERE member_id = $2
+      `, [amountToHold, req.member.id]);
+
+      // The action is logged up front; its cost is finalized on capture
+      const actionResult = await client.query(`
+        INSERT INTO app_actions (member_id, action_type, credits_cost, metadata, success)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [req.member.id, action_type, amountToHold, JSON.stringify(metadata), true]);
+
+      const actionId = actionResult.rows[0].id;
+
+      const holdResult = await client.query(`
+        INSERT INTO credit_holds (member_id, action_id, action_type, amount_held, metadata, expires_at)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+        RETURNING id, amount_held, status, expires_at, created_at
+      `, [req.member.id, actionId, action_type, amountToHold, JSON.stringify(metadata), ttlMinutes]);
+
+      await client.query(`
+        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes, actor)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        req.member.id,
+        0,
+        'hold_placed',
+        credits_balance,
+        actionId,
+        `Held ${amountToHold} credits for ${action_type}`,
+        `member ${req.member.email}`
+      ]);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        success: true,
+        hold: {
+          ...holdResult.rows[0],
+          action_id: actionId,
+          action_type
+        },
+        credits_available: credits_balance - credits_held - amountToHold
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Place credit hold error:', error.message);
+
+    const statusCode = holdErrorStatus(error);
+
+    res.status(statusCode).json({
+      error: 'Failed to place credit hold',
+      message: error.message,
+      details: statusCode === 500 ? error.message : undefined
+    });
+  }
+});
+
+// Capture a hold: spend the final amount (up to the held amount) and release the rest
+app.post('/api/credits/holds/:hold_id/capture', requireMemberSession, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const hold = await lockCreditHold(client, req.params.hold_id, req.member.id);
+
+    if (hold.status !== 'held') {
+      throw new Error('Hold is no longer active');
+    }
+
+    if (new Date(hold.expires_at) <= new Date()) {
+      await releaseCreditHold(client, hold, 'expired');
+      await client.query('COMMIT');
+      throw new Error('Hold has expired');
+    }
+
+    const captureAmount = req.body.amount === undefined ? hold.amount_held : parseInt(req.body.amount, 10);
+
+    if (!Number.isInteger(captureAmount) || captureAmount < 0 || captureAmount > hold.amount_held) {
+      throw new Error(`Invalid capture amount: must be between 0 and ${hold.amount_held}`);
+    }
+
+    await client.query(`
+      UPDATE member_credits 
+      SET credits_held = credits_held - $1, updated_at = NOW()
+      WHERE member_id = $2
+    `, [hold.amount_held, hold.member_id]);
+
+    const { newBalance } = await applyCreditChange(client, hold.member_id, -captureAmount, {
+      changeType: 'hold_captured',
+      referenceId: hold.action_id,
+      notes: `Captured ${captureAmount} of ${hold.amount_held} held credits for ${hold.action_type}`,
+      actor: `member ${req.member.email}`
+    });
+
+    await client.query(`
+      UPDATE credit_holds 
+      SET status = 'captured', amount_captured = $1, resolved_at = NOW()
+      WHERE id = $2
+    `, [captureAmount, hold.id]);
+
+    await client.query(`
+      UPDATE app_actions SET credits_cost = $1 WHERE id = $2
+    `, [captureAmount, hold.action_id]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      hold_id: hold.id,
+      action_id: hold.action_id,
+      credits_spent: captureAmount,
+      credits_released: hold.amount_held - captureAmount,
+      credits_remaining: newBalance
+    });
+
+  } catch (error) {
+    // The expired path has already committed; ROLLBACK is then a harmless no-op
+    await client.query('ROLLBACK');
+    console.error('Capture credit hold error:', error.message);
+
+    const statusCode = holdErrorStatus(error);
+
+    res.status(statusCode).json({
+      error: 'Failed to capture credit hold',
+      message: error.message,
+      details: statusCode === 500 ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Release a hold without spending any credits
+app.post('/api/credits/holds/:hold_id/release', requireMemberSession, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const hold = await lockCreditHold(client, req.params.hold_id, req.member.id);
+
+    if (hold.status !== 'held') {
+      throw new Error('Hold is no longer active');
+    }
+
+    await releaseCreditHold(client, hold, new Date(hold.expires_at) <= new Date() ? 'expired' : 'released', `member ${req.member.email}`);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      hold_id: hold.id,
+      action_id: hold.action_id,
+      credits_released: hold.amount_held
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Release credit hold error:', error.message);
+
+    const statusCode = holdErrorStatus(error);
+
+    res.status(statusCode).json({
+      error: 'Failed to release credit hold',
+      message: error.message,
+      details: statusCode === 500 ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Get member's action history
+app.get('/api/actions/:circle_member_id', requireMemberSession, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, action_type } = req.query;
+
+    let query = `
+      SELECT a.id, a.action_type, a.credits_cost, a.metadata, a.success, 
+             a.error_message, a.refunded_at, a.created_at
+      FROM app_actions a
+      WHERE a.member_id = $1
+    `;
+    
+    const params = [req.member.id];
+    
+    if (action_type) {
+      query += ` AND a.action_type = $${params.length + 1}`;
+      params.push(action_type);
+    }
+    
+    query += ` ORDER BY a.created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      actions: result.rows,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get actions error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch action history',
+      details: error.message
+    });
+  }
+});
+
+// Get member's credit history
+app.get('/api/credits/:circle_member_id/history', requireMemberSession, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await pool.query(`
+      SELECT ch.change_amount, ch.change_type, ch.balance_after, 
+             ch.notes, ch.created_at, aa.action_type
+      FROM credit_history ch
+      LEFT JOIN app_actions aa ON ch.reference_id = aa.id
+      WHERE ch.member_id = $1 AND ch.duplicate_of IS NULL
+      ORDER BY ch.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.member.id, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      history: result.rows,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get credit history error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch credit history',
+      details: error.message
+    });
+  }
+});
+
+// Scheduled background jobs
+// Each job holds a Postgres advisory lock while running, so only one replica runs it at a time
+const MONTHLY_REFRESH_ENABLED = process.env.MONTHLY_REFRESH_ENABLED !== 'false';
+const MONTHLY_REFRESH_INTERVAL_MINUTES = parseInt(process.env.MONTHLY_REFRESH_INTERVAL_MINUTES, 10) || 60;
+const MONTHLY_REFRESH_LOCK_KEY = 7240001;
+
+// Condition on member_credits mc for members with an anniversary later than last_refreshed_at
+// LEAST() skips a missing refresh_anchor_at. Anniversaries are at least 28 days apart, so the
+// indexed last_refreshed_at check rules most members out before the anniversary is worked out.
+const MONTHLY_REFRESH_DUE_SQL = `
+  mc.last_refreshed_at <= NOW() - INTERVAL '28 days'
+  AND monthly_refresh_anniversary(LEAST(mc.refresh_anchor_at, mc.last_refreshed_at), NOW()) > mc.last_refreshed_at
+`;
+const CREDIT_EXPIRY_INTERVAL_MINUTES = parseInt(process.env.CREDIT_EXPIRY_INTERVAL_MINUTES, 10) || 60;
+const CREDIT_EXPIRY_LOCK_KEY = 7240002;
+const LEDGER_CHECK_INTERVAL_MINUTES = parseInt(process.env.LEDGER_CHECK_INTERVAL_MINUTES, 10) || 24 * 60;
+const LEDGER_CHECK_LOCK_KEY = 7240003;
+
+// Run a job under an advisory lock and record the run in scheduled_job_runs
+// Returns the job's summary, or null if another instance holds the lock
+async function runScheduledJob(jobName, lockKey, jobFn) {
+  const lockClient = await pool.connect();
+
+  try {
+    const lockResult = await lockClient.query('SELECT pg_try_advisory_lock($1) AS acquired', [lockKey]);
+
+    if (!lockResult.rows[0].acquired) {
+      console.log(`Job ${jobName} is already running on another instance, skipping`);
+      return null;
+    }
+
+    try {
+      const runResult = await pool.query(`
+        INSERT INTO scheduled_job_runs (job_name, status)
+        VALUES ($1, 'running')
+        RETURNING id
+      `, [jobName]);
+      const runId = runResult.rows[0].id;
+
+      try {
+        const summary = await jobFn();
+
+        await pool.query(`
+          UPDATE scheduled_job_runs 
+          SET status = 'succeeded', summary = $1, finished_at = NOW()
+          WHERE id = $2
+        `, [JSON.stringify(summary), runId]);
+
+        return summary;
+      } catch (error) {
+        await pool.query(`
+          UPDATE scheduled_job_runs 
+          SET status = 'failed', error_message = $1, finished_at = NOW()
+          WHERE id = $2
+        `, [error.message, runId]);
+        throw error;
+      }
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [lockKey]);
+    }
+  } finally {
+    lockClient.release();
+  }
+}
+
+// Forfeit unused monthly credits above MONTHLY_ROLLOVER_CAP before a new month is granted
+// Caller must hold the member_credits row lock. Credits reserved by holds are never forfeited.
+async function applyMonthlyRolloverCap(client, memberId) {
+  if (MONTHLY_ROLLOVER_CAP === null) {
+    return 0;
+  }
+
+  const rolloverResult = await client.query(`
+    SELECT mc.credits_balance - mc.credits_held AS credits_available,
+           COALESCE(SUM(cg.amount_remaining), 0)::int AS monthly_remaining
+    FROM member_credits mc
+    LEFT JOIN credit_grants cg 
+      ON cg.member_id = mc.member_id AND cg.source_type = 'monthly' AND cg.amount_remaining > 0
+    WHERE mc.member_id = $1
+    GROUP BY mc.credits_balance, mc.credits_held
+  `, [memberId]);
+
+  if (rolloverResult.rows.length === 0) {
+    return 0;
+  }
+
+  const { credits_available, monthly_remaining } = rolloverResult.rows[0];
+  const forfeited = Math.min(monthly_remaining - MONTHLY_ROLLOVER_CAP, credits_available);
+
+  if (forfeited <= 0) {
+    return 0;
+  }
+
+  await applyCreditChange(client, memberId, -forfeited, {
+    changeType: 'expiry',
+    grantSource: 'monthly',
+    notes: `Unused monthly credits above the rollover cap of ${MONTHLY_ROLLOVER_CAP}`
+  });
+
+  return forfeited;
+}
+
+// Grant monthly credits to every member whose refresh anniversary has passed
+// A member is due once there's an anniversary, counted in whole months from refresh_anchor_at by
+// monthly_refresh_anniversary(), later than last_refreshed_at; last_refreshed_at then moves to it.
+// A Jan 31 schedule is refreshed on Feb 28 and then Mar 31 rather than drifting to the 28th.
+// An anchor that doesn't fit (missing, or after last_refreshed_at) is replaced by last_refreshed_at.
+// Members who missed several months (e.g. while the job was disabled) get a single refresh.
+async function refreshMonthlyCredits() {
+  const client = await pool.connect();
+  let membersRefreshed = 0;
+  let creditsGranted = 0;
+  let creditsForfeited = 0;
+
+  try {
+    while (true) {
+      await client.query('BEGIN');
+
+      const dueResult = await client.query(`
+        SELECT mc.member_id, m.email, m.plan
+        FROM member_credits mc
+        JOIN members m ON mc.member_id = m.id
+        WHERE ${MONTHLY_REFRESH_DUE_SQL}
+        ORDER BY mc.last_refreshed_at
+        LIMIT 1
+        FOR UPDATE OF mc SKIP LOCKED
+      `);
+
+      if (dueResult.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+
+      const due = dueResult.rows[0];
+      const plan = getPlan(due.plan);
+      const monthlyCredits = plan.monthly_credits;
+
+      creditsForfeited += await applyMonthlyRolloverCap(client, due.member_id);
+
+      if (monthlyCredits > 0) {
+        await applyCreditChange(client, due.member_id, monthlyCredits, {
+          changeType: 'monthly_refresh',
+          notes: `Monthly credit refresh: ${plan.name} plan`
+        });
+      }
+
+      // NOW() is the transaction's start time, so this is the anniversary the row was picked for
+      await client.query(`
+        UPDATE member_credits 
+        SET last_refreshed_at = monthly_refresh_anniversary(LEAST(refresh_anchor_at, last_refreshed_at), NOW()),
+            refresh_anchor_at = LEAST(refresh_anchor_at, last_refreshed_at)
+        WHERE member_id = $1
+      `, [due.member_id]);
+
+      await client.query('COMMIT');
+
+      membersRefreshed++;
+      creditsGranted += monthlyCredits;
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`Monthly credit refresh complete: ${membersRefreshed} members, ${creditsGranted} credits, ${creditsForfeited} forfeited over rollover cap`);
+
+  return {
+    members_refreshed: membersRefreshed,
+    credits_granted: creditsGranted,
+    credits_forfeited: creditsForfeited
+  };
+}
+
+// Expire grant buckets past their expires_at, writing one 'expiry' history row per member
+// Credits reserved by active holds stay put; their buckets are retried on the next run.
+async function expireCreditGrants() {
+  const client = await pool.connect();
+  let membersAffected = 0;
+  let creditsExpired = 0;
+  let lastMemberId = 0;
+
+  try {
+    while (true) {
+      await client.query('BEGIN');
+
+      // Walk members in id order so ones blocked by holds aren't picked again this run
+      const memberResult = await client.query(`
+        SELECT mc.member_id, mc.credits_balance - mc.credits_held AS credits_available
+        FROM member_credits mc
+        WHERE mc.member_id > $1
+          AND EXISTS (
+            SELECT 1 FROM credit_grants cg
+            WHERE cg.member_id = mc.member_id AND cg.amount_remaining > 0 AND cg.expires_at <= NOW()
+          )
+        ORDER BY mc.member_id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `, [lastMemberId]);
+
+      if (memberResult.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+
+      const { member_id, credits_available } = memberResult.rows[0];
+      lastMemberId = member_id;
+
+      const expiredResult = await client.query(`
+        SELECT COALESCE(SUM(amount_remaining), 0)::int AS amount_expired,
+               string_agg(DISTINCT source_type, ', ') AS sources
+        FROM credit_grants
+        WHERE member_id = $1 AND amount_remaining > 0 AND expires_at <= NOW()
+      `, [member_id]);
+
+      const { amount_expired, sources } = expiredResult.rows[0];
+      const expiring = Math.min(amount_expired, credits_available);
+
+      // Expired buckets sort first, so the debit consumes exactly those
+      if (expiring > 0) {
+        await applyCreditChange(client, member_id, -expiring, {
+          changeType: 'expiry',
+          notes: `Expired credits (${sources})`
+        });
+        membersAffected++;
+        creditsExpired += expiring;
+      }
+
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (creditsExpired > 0) {
+    console.log(`Credit expiry complete: ${creditsExpired} credits from ${membersAffected} members`);
+  }
+
+  return {
+    members_affected: membersAffected,
+    credits_expired: creditsExpired
+  };
+}
+
+// Compare every balance with the sum of its ledger; report only, corrections go through
+// POST /api/admin/reconciliation or scripts/reconcile-ledger.js
+async function checkLedgerIntegrity() {
+  const { members_checked, mismatches } = await findLedgerMismatches(pool);
+
+  for (const mismatch of mismatches) {
+    console.warn(`Ledger mismatch for ${mismatch.email}: balance ${mismatch.credits_balance}, ledger ${mismatch.ledger_balance}`);
+  }
+
+  return {
+    members_checked,
+    mismatches: mismatches.length,
+    total_difference: mismatches.reduce((sum, mismatch) => sum + mismatch.difference, 0)
+  };
+}
+
+// Admin roles and the permissions each grants
+// Staff are Circle admins and moderators; a role stored in admin_roles overrides their default role.
+const ADMIN_PERMISSIONS = [
+  'members:read',
+  'history:read',
+  'credits:adjust',
+  'pricing:manage',
+  'data:export',
+  'admin:manage'
+];
+
+const ADMIN_ROLE_PERMISSIONS = {
+  viewer: ['members:read'],
+  support: ['members:read', 'history:read'],
+  finance: ['members:read', 'history:read', 'credits:adjust', 'pricing:manage', 'data:export'],
+  owner: ADMIN_PERMISSIONS
+};
+
+// Whether role names one of ADMIN_ROLE_PERMISSIONS' own roles (not an inherited key like constructor)
+function isAdminRole(role) {
+  return typeof role === 'string' && Object.prototype.hasOwnProperty.call(ADMIN_ROLE_PERMISSIONS, role);
+}
+
+// Default roles for staff without an explicit assignment
+const CIRCLE_ADMIN_DEFAULT_ROLE = 'owner';
+const MODERATOR_DEFAULT_ROLE = isAdminRole(process.env.MODERATOR_DEFAULT_ROLE)
+  ? process.env.MODERATOR_DEFAULT_ROLE
+  : 'support';
+
+// Resolve a staff member's effective role from their stored role and Circle flags
+function resolveAdminRole({ assigned_role, is_admin, is_moderator }) {
+  if (isAdminRole(assigned_role)) return assigned_role;
+  if (is_admin) return CIRCLE_ADMIN_DEFAULT_ROLE;
+  if (is_moderator) return MODERATOR_DEFAULT_ROLE;
+  return null;
+}
+
+// Require a permission on top of checkAdminToken
+function requireAdminPermission(permission) {
+  return (req, res, next) => {
+    if (!req.adminUser.permissions.includes(permission)) {
+      console.warn(`Admin ${req.adminUser.email} (${req.adminUser.role}) denied ${permission} on ${req.method} ${req.path}`);
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: `Your role (${req.adminUser.role}) does not have the ${permission} permission`
+      });
+    }
+    next();
+  };
+}
+
+// Admin endpoints - require database and valid admin session
+// The token is accepted from the Authorization header or the HttpOnly admin_session cookie, never the URL
+async function checkAdminToken(req, res, next) {
+  if (!process.env.DATABASE_URL) {
+    return res.status(501).json({
+      error: 'Database not configured',
+      message: 'Admin features require database configuration'
+    });
+  }
+  
+  const authHeader = req.headers.authorization || '';
+  const token = (authHeader.startsWith('Bearer ') && authHeader.slice(7).trim()) ||
+    parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+  
+  if (!token) {
+    return res.status(401).json({
+      error: 'Admin token required',
+      message: 'Valid admin token required to access this endpoint'
+    });
+  }
+
+  try {
+    // Validate and slide the expiry forward in one step
+    const sessionResult = await pool.query(`
+      UPDATE admin_sessions s
+      SET last_used_at = NOW(),
+          expires_at = LEAST(NOW() + make_interval(mins => $2), s.created_at + make_interval(hours => $3))
+      FROM members m
+      LEFT JOIN admin_roles ar ON ar.member_id = m.id
+      WHERE s.token_hash = $1
+        AND s.member_id = m.id
+        AND (m.is_admin = true OR m.is_moderator = true)
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+      RETURNING s.id, s.member_id, s.expires_at, m.circle_member_id, m.name, m.email,
+                m.is_admin, m.is_moderator, ar.role AS assigned_role
+    `, [hashAdminToken(token), ADMIN_SESSION_IDLE_MINUTES, ADMIN_SESSION_MAX_HOURS]);
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Admin token is invalid, expired or revoked'
+      });
+    }
+
+    const session = sessionResult.rows[0];
+    const role = resolveAdminRole(session);
+
+    // Add admin info to request for logging and permission checks
+    req.adminUser = {
+      session_id: session.id,
+      member_id: session.member_id,
+      circle_member_id: session.circle_member_id,
+      name: session.name,
+      email: session.email,
+      role,
+      permissions: ADMIN_ROLE_PERMISSIONS[role],
+      expiresAt: session.expires_at
+    };
+    req.adminToken = token;
+    res.set('Admin-Session-Expires-At', session.expires_at.toISOString());
+    next();
+
+  } catch (error) {
+    console.error('Admin session lookup error:', error.message);
+    res.status(500).json({
+      error: 'Failed to verify admin session',
+      details: error.message
+    });
+  }
+}
+
+// Move the admin session into an HttpOnly cookie so the page doesn't keep the token
+app.post('/api/admin/session', checkAdminToken, (req, res) => {
+  setAdminSessionCookie(res, req.adminToken);
+
+  res.json({
+    success: true,
+    admin: {
+      circle_member_id: req.adminUser.circle_member_id,
+      name: req.adminUser.name,
+      email: req.adminUser.email,
+      role: req.adminUser.role,
+      permissions: req.adminUser.permissions
+    },
+    expiresAt: req.adminUser.expiresAt
+  });
+});
+
+// Get the current admin's role and permissions
+app.get('/api/admin/me', checkAdminToken, (req, res) => {
+  res.json({
+    success: true,
+    admin: {
+      circle_member_id: req.adminUser.circle_member_id,
+      name: req.adminUser.name,
+      email: req.adminUser.email,
+      role: req.adminUser.role,
+      permissions: req.adminUser.permissions
+    },
+    roles: ADMIN_ROLE_PERMISSIONS
+  });
+});
+
+// List staff (Circle admins and moderators) with their effective roles
+app.get('/api/admin/roles', checkAdminToken, requireAdminPermission('admin:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT m.circle_member_id, m.name, m.email, m.is_admin, m.is_moderator,
+             ar.role AS assigned_role, ar.assigned_at, assigner.email AS assigned_by_email
+      FROM members m
+      LEFT JOIN admin_roles ar ON ar.member_id = m.id
+      LEFT JOIN members assigner ON ar.assigned_by = assigner.id
+      WHERE m.is_admin = true OR m.is_moderator = true
+      ORDER BY m.is_admin DESC, m.name
+    `);
+
+    res.json({
+      success: true,
+      roles: ADMIN_ROLE_PERMISSIONS,
+      default_roles: {
+        circle_admin: CIRCLE_ADMIN_DEFAULT_ROLE,
+        circle_moderator: MODERATOR_DEFAULT_ROLE
+      },
+      staff: result.rows.map(member => ({
+        ...member,
+        role: resolveAdminRole(member)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get admin roles error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch admin roles',
+      details: error.message
+    });
+  }
+});
+
+// Assign a role to a staff member, or clear it with role = null to use their default
+app.put('/api/admin/roles/:circle_member_id', checkAdminToken, requireAdminPermission('admin:manage'), async (req, res) => {
+  try {
+    const { circle_member_id } = req.params;
+    const { role = null } = req.body;
+
+    if (role !== null && !isAdminRole(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `role must be one of ${Object.keys(ADMIN_ROLE_PERMISSIONS).join(', ')}, or null for the default`
+      });
+    }
+
+    // Don't let an admin lock themselves out of role management
+    if (String(circle_member_id) === String(req.adminUser.circle_member_id)) {
+      return res.status(400).json({
+        error: 'Invalid role change',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const memberResult = await pool.query(`
+      SELECT m.id, m.email, m.is_admin, m.is_moderator, ar.role AS previous_role
+      FROM members m
+      LEFT JOIN admin_roles ar ON ar.member_id = m.id
+      WHERE m.circle_member_id = $1 AND (m.is_admin = true OR m.is_moderator = true)
+    `, [circle_member_id]);
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Staff member not found',
+        message: 'Roles can only be assigned to Circle admins and moderators'
+      });
+    }
+
+    const member = memberResult.rows[0];
+    req.audit.target_member_id = member.id;
+    req.audit.details = { previous_role: member.previous_role, assigned_role: role };
+
+    if (role === null) {
+      await pool.query('DELETE FROM admin_roles WHERE member_id = $1', [member.id]);
+    } else {
+      await pool.query(`
+        INSERT INTO admin_roles (member_id, role, assigned_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (member_id)
+        DO UPDATE SET role = EXCLUDED.role, assigned_by = EXCLUDED.assigned_by, assigned_at = NOW()
+      `, [member.id, role, req.adminUser.member_id]);
+    }
+
+    const effectiveRole = resolveAdminRole({ ...member, assigned_role: role });
+    console.log(`Admin ${req.adminUser.email} set role for ${member.email} to ${role || `default (${effectiveRole})`}`);
+
+    res.json({
+      success: true,
+      circle_member_id,
+      assigned_role: role,
+      role: effectiveRole
+    });
+
+  } catch (error) {
+    console.error('Update admin role error:', error.message);
+    res.status(500).json({
+      error: 'Failed to update admin role',
+      details: error.message
+    });
+  }
+});
+
+// Revoke the current admin session
+app.post('/api/admin/logout', checkAdminToken, async (req, res) => {
+  try {
+    await pool.query(`
+      UPDATE admin_sessions 
+      SET revoked_at = NOW(), revoked_by = $1
+      WHERE id = $2
+    `, [req.adminUser.member_id, req.adminUser.session_id]);
+
+    setAdminSessionCookie(res, null);
+    console.log(`Admin ${req.adminUser.email} logged out (session ${req.adminUser.session_id})`);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Admin logout error:', error.message);
+    res.status(500).json({
+      error: 'Failed to log out',
+      details: error.message
+    });
+  }
+});
+
+// List active admin sessions (admin only)
+app.get('/api/admin/sessions', checkAdminToken, requireAdminPermission('admin:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.id, s.created_at, s.last_used_at, s.expires_at, s.user_agent, s.ip_address,
+             m.circle_member_id, m.name, m.email
+      FROM admin_sessions s
+      JOIN members m ON s.member_id = m.id
+      WHERE s.revoked_at IS NULL AND s.expires_at > NOW()
+      ORDER BY s.last_used_at DESC
+    `);
+
+    res.json({
+      success: true,
+      sessions: result.rows.map(session => ({
+        ...session,
+        is_current: session.id === req.adminUser.session_id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get admin sessions error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch admin sessions',
+      details: error.message
+    });
+  }
+});
+
+// Revoke any admin session (admin only)
+app.delete('/api/admin/sessions/:session_id', checkAdminToken, requireAdminPermission('admin:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE admin_sessions 
+      SET revoked_at = NOW(), revoked_by = $1
+      WHERE id = $2 AND revoked_at IS NULL
+      RETURNING id, member_id
+    `, [req.adminUser.member_id, parseInt(req.params.session_id, 10)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No active admin session with that ID'
+      });
+    }
+
+    req.audit.target_member_id = result.rows[0].member_id;
+    console.log(`Admin ${req.adminUser.email} revoked admin session ${req.params.session_id}`);
+
+    res.json({
+      success: true,
+      revoked: result.rows[0].id
+    });
+
+  } catch (error) {
+    console.error('Revoke admin session error:', error.message);
+    res.status(500).json({
+      error: 'Failed to revoke admin session',
+      details: error.message
+    });
+  }
+});
+
+// Admin list endpoints are paginated and sortable:
+// ?page=1&page_size=50 (limit is accepted for page_size), ?sort=<column>&order=asc|desc
+const ADMIN_LIST_DEFAULT_PAGE_SIZE = 50;
+const ADMIN_LIST_MAX_PAGE_SIZE = 500;
+
+// Read paging, sorting and date range params for an admin list
+// sortColumns maps the sort names a client may use to SQL expressions; tiebreaker keeps pages stable
+function parseListParams(query, { sortColumns, defaultSort, tiebreaker }) {
+  const errors = [];
+  const pageSize = Math.min(
+    Math.max(parseInt(query.page_size || query.limit, 10) || ADMIN_LIST_DEFAULT_PAGE_SIZE, 1),
+    ADMIN_LIST_MAX_PAGE_SIZE
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const sort = Object.prototype.hasOwnProperty.call(sortColumns, query.sort) ? query.sort : defaultSort;
+  const order = String(query.order).toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && isNaN(Date.parse(query[key]))) {
+      errors.push(`${key} must be a date, e.g. 2024-01-31`);
+    }
+  }
+
+  return {
+    errors,
+    page,
+    pageSize,
+    sort,
+    order,
+    offset: (page - 1) * pageSize,
+    orderBy: `${sortColumns[sort]} ${order.toUpperCase()} NULLS LAST, ${tiebreaker} ${order.toUpperCase()}`
+  };
+}
+
+// ILIKE pattern matching value anywhere, with its own % and _ taken literally
+function containsPattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Read a true/false query param; anything else means "don't filter"
+function parseBooleanParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+// Pagination block for a list response
+// total comes from a separate COUNT(*) over the same filters, so a page past the end still reports it
+function listPagination(list, totalCount) {
+  const total = parseInt(totalCount, 10);
+
+  return {
+    page: list.page,
+    page_size: list.pageSize,
+    total,
+    total_pages: Math.ceil(total / list.pageSize),
+    sort: list.sort,
+    order: list.order
+  };
+}
+
+// Get members (admin only)
+// Filters: q (name or email), is_paid, is_admin (Circle admins and moderators), plan,
+// from/to dates on date_field (last_seen_at, the default, or first_seen_at)
+const MEMBER_DATE_FIELDS = ['last_seen_at', 'first_seen_at'];
+
+app.get('/api/admin/members', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const { q, plan, from, to, date_field: dateField = 'last_seen_at' } = req.query;
+    const list = parseListParams(req.query, {
+      sortColumns: {
+        name: 'm.name',
+        email: 'm.email',
+        plan: 'm.plan',
+        credits_balance: 'credits_balance',
+        first_seen_at: 'm.first_seen_at',
+        last_seen_at: 'm.last_seen_at'
+      },
+      defaultSort: 'last_seen_at',
+      tiebreaker: 'm.id'
+    });
+
+    if (!MEMBER_DATE_FIELDS.includes(dateField)) {
+      list.errors.push(`date_field must be one of: ${MEMBER_DATE_FIELDS.join(', ')}`);
+    }
+
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: list.errors.join('; ')
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      params.push(containsPattern(q));
+      conditions.push(`(m.name ILIKE $${params.length} OR m.email ILIKE $${params.length})`);
+    }
+
+    const isPaid = parseBooleanParam(req.query.is_paid);
+    if (isPaid !== undefined) {
+      params.push(isPaid);
+      conditions.push(`m.is_paid = $${params.length}`);
+    }
+
+    const isAdmin = parseBooleanParam(req.query.is_admin);
+    if (isAdmin !== undefined) {
+      params.push(isAdmin);
+      conditions.push(`(m.is_admin OR m.is_moderator) = $${params.length}`);
+    }
+
+    if (plan) {
+      params.push(plan);
+      conditions.push(`m.plan = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`m.${dateField} >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`m.${dateField} < $${params.length}::date + 1`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT 
+          m.circle_member_id,
+          m.name,
+          m.email,
+          m.is_admin,
+          m.is_moderator,
+          m.is_paid,
+          m.plan,
+          m.first_seen_at,
+          m.last_seen_at,
+          COALESCE(mc.credits_balance, 0) as credits_balance
+        FROM members m
+        LEFT JOIN member_credits mc ON m.id = mc.member_id
+        ${whereClause}
+        ORDER BY ${list.orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, list.pageSize, list.offset]),
+      pool.query(`
+        SELECT COUNT(*) as total_count
+        FROM members m
+        LEFT JOIN member_credits mc ON m.id = mc.member_id
+        ${whereClause}
+      `, params)
+    ]);
+
+    res.json({
+      success: true,
+      members: result.rows.map(member => ({ ...member, plan_name: getPlan(member.plan).name })),
+      pagination: listPagination(list, countResult.rows[0].total_count)
+    });
+
+  } catch (error) {
+    console.error('Get members error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch members',
+      details: error.message
+    });
+  }
+});
+
+// Get one member's profile, balance, purchases, plan changes and recent activity (admin only)
+// Actions and credit history are only included for roles with history:read
+app.get('/api/admin/members/:circle_member_id', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const circleMemberId = req.params.circle_member_id;
+
+    if (!/^\d+$/.test(circleMemberId) || !Number.isSafeInteger(Number(circleMemberId))) {
+      return res.status(400).json({
+        error: 'Invalid member ID',
+        message: 'circle_member_id must be a Circle member ID (a number)'
+      });
+    }
+
+    const memberResult = await pool.query(`
+      SELECT 
+        m.id,
+        m.circle_member_id,
+        m.circle_user_id,
+        m.name,
+        m.email,
+        m.avatar_url,
+        m.is_admin,
+        m.is_moderator,
+        m.is_paid,
+        m.plan,
+        m.tags,
+        m.first_seen_at,
+        m.last_seen_at,
+        COALESCE(mc.credits_balance, 0) as credits_balance,
+        COALESCE(mc.credits_held, 0) as credits_held,
+        mc.last_refreshed_at
+      FROM members m
+      LEFT JOIN member_credits mc ON m.id = mc.member_id
+      WHERE m.circle_member_id = $1
+    `, [circleMemberId]);
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'No member found with the specified Circle member ID'
+      });
+    }
+
+    const { id: memberId, credits_balance, credits_held, last_refreshed_at, ...profile } = memberResult.rows[0];
+    const canReadHistory = req.adminUser.permissions.includes('history:read');
+
+    const [grantsResult, purchasesResult, tierChangesResult, actionsResult, historyResult] = await Promise.all([
+      pool.query(`
+        SELECT source_type, amount_granted, amount_remaining, expires_at, created_at
+        FROM credit_grants
+        WHERE member_id = $1 AND amount_remaining > 0
+        ORDER BY expires_at ASC NULLS LAST, created_at ASC
+      `, [memberId]),
+      pool.query(`
+        SELECT tag_value, credits_granted, processed_at
+        FROM processed_purchase_tags
+        WHERE member_id = $1
+        ORDER BY processed_at DESC
+      `, [memberId]),
+      pool.query(`
+        SELECT from_plan, to_plan, direction, policy, credits_change, notes, created_at
+        FROM tier_changes
+        WHERE member_id = $1
+        ORDER BY created_at DESC
+      `, [memberId]),
+      canReadHistory ? pool.query(`
+        SELECT id, action_type, credits_cost, metadata, success, error_message, refunded_at, created_at
+        FROM app_actions
+        WHERE member_id = $1
+        ORDER BY created_at DESC
+        LIMIT 25
+      `, [memberId]) : null,
+      canReadHistory ? pool.query(`
+        SELECT change_amount, change_type, balance_after, notes, actor, created_at
+        FROM credit_history
+        WHERE member_id = $1 AND duplicate_of IS NULL
+        ORDER BY created_at DESC, id DESC
+        LIMIT 50
+      `, [memberId]) : null
+    ]);
+
+    res.json({
+      success: true,
+      member: {
+        ...profile,
+        plan_name: getPlan(profile.plan).name
+      },
+      credits: {
+        balance: credits_balance,
+        held: credits_held,
+        available: credits_balance - credits_held,
+        last_refreshed_at,
+        grants: grantsResult.rows
+      },
+      purchases: purchasesResult.rows,
+      tier_changes: tierChangesResult.rows,
+      recent_actions: actionsResult ? actionsResult.rows : null,
+      credit_history: historyResult ? historyResult.rows : null
+    });
+
+  } catch (error) {
+    console.error('Get member detail error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch member',
+      details: error.message
+    });
+  }
+});
+
+// Get credit balances (admin only)
+// Filters: q (name or email), is_paid, plan, from/to dates on the balance's last change (updated_at).
+// total_credits sums every matching balance, not just this page.
+app.get('/api/admin/credits', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const { q, plan, from, to } = req.query;
+    const list = parseListParams(req.query, {
+      sortColumns: {
+        name: 'm.name',
+        email: 'm.email',
+        plan: 'm.plan',
+        credits_balance: 'mc.credits_balance',
+        last_refreshed_at: 'mc.last_refreshed_at'
+      },
+      defaultSort: 'credits_balance',
+      tiebreaker: 'mc.member_id'
+    });
+
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: list.errors.join('; ')
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      params.push(containsPattern(q));
+      conditions.push(`(m.name ILIKE $${params.length} OR m.email ILIKE $${params.length})`);
+    }
+
+    const isPaid = parseBooleanParam(req.query.is_paid);
+    if (isPaid !== undefined) {
+      params.push(isPaid);
+      conditions.push(`m.is_paid = $${params.length}`);
+    }
+
+    if (plan) {
+      params.push(plan);
+      conditions.push(`m.plan = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`mc.updated_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`mc.updated_at < $${params.length}::date + 1`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT 
+          m.circle_member_id,
+          m.name,
+          m.email,
+          m.is_paid,
+          m.plan,
+          mc.credits_balance,
+          mc.last_refreshed_at
+        FROM member_credits mc
+        JOIN members m ON mc.member_id = m.id
+        ${whereClause}
+        ORDER BY ${list.orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, list.pageSize, list.offset]),
+      pool.query(`
+        SELECT COUNT(*) as total_count, COALESCE(SUM(mc.credits_balance), 0) as total_credits
+        FROM member_credits mc
+        JOIN members m ON mc.member_id = m.id
+        ${whereClause}
+      `, params)
+    ]);
+
+    res.json({
+      success: true,
+      credits: result.rows.map(credit => ({ ...credit, plan_name: getPlan(credit.plan).name })),
+      total_credits: parseInt(countResult.rows[0].total_credits, 10),
+      pagination: listPagination(list, countResult.rows[0].total_count)
+    });
+
+  } catch (error) {
+    console.error('Get credits error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch credit balances',
+      details: error.message
+    });
+  }
+});
+
+// Get actions (admin only)
+// Filters: q (member name or email), member (Circle member ID or email), action_type, success, from/to dates
+app.get('/api/admin/actions', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const { q, member, action_type, from, to } = req.query;
+    const list = parseListParams(req.query, {
+      sortColumns: {
+        created_at: 'aa.created_at',
+        action_type: 'aa.action_type',
+        credits_cost: 'aa.credits_cost',
+        member_name: 'm.name'
+      },
+      defaultSort: 'created_at',
+      tiebreaker: 'aa.id'
+    });
+
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: list.errors.join('; ')
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (q) {
+      params.push(containsPattern(q));
+      conditions.push(`(m.name ILIKE $${params.length} OR m.email ILIKE $${params.length})`);
+    }
+
+    if (member) {
+      params.push(/^\d+$/.test(member) ? member : member.toLowerCase());
+      conditions.push(/^\d+$/.test(member)
+        ? `m.circle_member_id = $${params.length}`
+        : `LOWER(m.email) = $${params.length}`);
+    }
+
+    if (action_type) {
+      params.push(action_type);
+      conditions.push(`aa.action_type = $${params.length}`);
+    }
+
+    const success = parseBooleanParam(req.query.success);
+    if (success !== undefined) {
+      params.push(success);
+      conditions.push(`aa.success = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`aa.created_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`aa.created_at < $${params.length}::date + 1`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT 
+          aa.id,
+          aa.action_type,
+          aa.credits_cost,
+          aa.metadata,
+          aa.success,
+          aa.error_message,
+          aa.refunded_at,
+          aa.created_at,
+          m.name as member_name,
+          m.circle_member_id
+        FROM app_actions aa
+        JOIN members m ON aa.member_id = m.id
+        ${whereClause}
+        ORDER BY ${list.orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, list.pageSize, list.offset]),
+      pool.query(`
+        SELECT COUNT(*) as total_count
+        FROM app_actions aa
+        JOIN members m ON aa.member_id = m.id
+        ${whereClause}
+      `, params)
+    ]);
+
+    res.json({
+      success: true,
+      actions: result.rows,
+      pagination: listPagination(list, countResult.rows[0].total_count)
+    });
+
+  } catch (error) {
+    console.error('Get actions error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch actions',
+      details: error.message
+    });
+  }
+});
+
+// Get credit history (admin only)
+// Filters: q (member name or email), member (Circle member ID or email), change_type, from/to dates
+// Rows flagged as duplicates (see scripts/flag-duplicate-credit-history.js) are hidden unless include_duplicates=true
+app.get('/api/admin/credit-history', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const { q, member, change_type, from, to, include_duplicates } = req.query;
+    const list = parseListParams(req.query, {
+      sortColumns: {
+        created_at: 'ch.created_at',
+        change_amount: 'ch.change_amount',
+        change_type: 'ch.change_type',
+        balance_after: 'ch.balance_after',
+        member_name: 'm.name'
+      },
+      defaultSort: 'created_at',
+      tiebreaker: 'ch.id'
+    });
+
+    if (list.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: list.errors.join('; ')
+      });
+    }
+
+    const conditions = include_duplicates === 'true' ? [] : ['ch.duplicate_of IS NULL'];
+    const params = [];
+
+    if (q) {
+      params.push(containsPattern(q));
+      conditions.push(`(m.name ILIKE $${params.length} OR m.email ILIKE $${params.length})`);
+    }
+
+    if (member) {
+      params.push(/^\d+$/.test(member) ? member : member.toLowerCase());
+      conditions.push(/^\d+$/.test(member)
+        ? `m.circle_member_id = $${params.length}`
+        : `LOWER(m.email) = $${params.length}`);
+    }
+
+    if (change_type) {
+      params.push(change_type);
+      conditions.push(`ch.change_type = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`ch.created_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`ch.created_at < $${params.length}::date + 1`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT 
+          ch.change_amount,
+          ch.change_type,
+          ch.balance_after,
+          ch.notes,
+          ch.actor,
+          ch.duplicate_of,
+          ch.created_at,
+          ch.member_id,
+          m.circle_member_id,
+          m.name as member_name,
+          m.email as member_email
+        FROM credit_history ch
+        JOIN members m ON ch.member_id = m.id
+        ${whereClause}
+        ORDER BY ${list.orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, list.pageSize, list.offset]),
+      pool.query(`
+        SELECT COUNT(*) as total_count
+        FROM credit_history ch
+        JOIN members m ON ch.member_id = m.id
+        ${whereClause}
+      `, params)
+    ]);
+
+    res.json({
+      success: true,
+      history: result.rows,
+      pagination: listPagination(list, countResult.rows[0].total_count)
+    });
+
+  } catch (error) {
+    console.error('Get credit history error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch credit history',
+      details: error.message
+    });
+  }
+});
+
+// Data exports (admin only)
+// Each dataset is read in keyset-paginated batches and streamed, so large tables are never
+// held in memory. member filters by Circle member ID or email; from/to by the dataset's date column.
+const EXPORT_BATCH_SIZE = 1000;
+
+const EXPORT_DATASETS = {
+  members: {
+    idColumn: 'm.id',
+    dateColumn: 'm.first_seen_at',
+    columns: ['circle_member_id', 'name', 'email', 'plan', 'is_paid', 'is_admin', 'is_moderator',
+      'credits_balance', 'first_seen_at', 'last_seen_at'],
+    query: `
+      SELECT m.id, m.circle_member_id, m.name, m.email, m.plan, m.is_paid, m.is_admin, m.is_moderator,
+             COALESCE(mc.credits_balance, 0) as credits_balance, m.first_seen_at, m.last_seen_at
+      FROM members m
+      LEFT JOIN member_credits mc ON m.id = mc.member_id
+    `
+  },
+  actions: {
+    idColumn: 'aa.id',
+    dateColumn: 'aa.created_at',
+    columns: ['id', 'created_at', 'circle_member_id', 'email', 'action_type', 'credits_cost', 'success',
+      'error_message', 'refunded_at', 'metadata'],
+    query: `
+      SELECT aa.id, aa.created_at, m.circle_member_id, m.email, aa.action_type, aa.credits_cost, aa.success,
+             aa.error_message, aa.refunded_at, aa.metadata
+      FROM app_actions aa
+      JOIN members m ON aa.member_id = m.id
+    `
+  },
+  'credit-history': {
+    idColumn: 'ch.id',
+    dateColumn: 'ch.created_at',
+    columns: ['id', 'created_at', 'circle_member_id', 'email', 'change_type', 'change_amount', 'balance_after',
+      'reference_id', 'notes', 'actor', 'duplicate_of'],
+    query: `
+      SELECT ch.id, ch.created_at, m.circle_member_id, m.email, ch.change_type, ch.change_amount, ch.balance_after,
+             ch.reference_id, ch.notes, ch.actor, ch.duplicate_of
+      FROM credit_history ch
+      JOIN members m ON ch.member_id = m.id
+    `
+  },
+  purchases: {
+    idColumn: 'pt.id',
+    dateColumn: 'pt.processed_at',
+    columns: ['id', 'processed_at', 'circle_member_id', 'email', 'tag_value', 'credits_granted'],
+    query: `
+      SELECT pt.id, pt.processed_at, m.circle_member_id, m.email, pt.tag_value, pt.credits_granted
+      FROM processed_purchase_tags pt
+      JOIN members m ON pt.member_id = m.id
+    `
+  }
+};
+
+// Format one value as a CSV field
+// Text starting with a formula character is prefixed with ' so spreadsheets don't evaluate it
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream a dataset as CSV or NDJSON
+app.get('/api/admin/export/:dataset', checkAdminToken, requireAdminPermission('data:export'), async (req, res) => {
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+  const { format = 'csv', member, from, to } = req.query;
+
+  if (!dataset) {
+    return res.status(404).json({
+      error: 'Unknown dataset',
+      message: `Exportable datasets: ${Object.keys(EXPORT_DATASETS).join(', ')}`
+    });
+  }
+
+  if (format !== 'csv' && format !== 'ndjson') {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: 'format must be csv or ndjson'
+    });
+  }
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: `${key} must be a date, e.g. 2024-01-31`
+      });
+    }
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (member) {
+    params.push(/^\d+$/.test(member) ? member : member.toLowerCase());
+    conditions.push(/^\d+$/.test(member)
+      ? `m.circle_member_id = $${params.length}`
+      : `LOWER(m.email) = $${params.length}`);
+  }
+
+  if (from) {
+    params.push(from);
+    conditions.push(`${dataset.dateColumn} >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(to);
+    conditions.push(`${dataset.dateColumn} < $${params.length}::date + 1`);
+  }
+
+  // The cursor is the last id sent; it and the batch size are the final two params
+  const cursorParam = params.length + 1;
+  conditions.push(`${dataset.idColumn} > $${cursorParam}`);
+  const batchQuery = `
+    ${dataset.query}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${dataset.idColumn}
+    LIMIT $${cursorParam + 1}
+  `;
+
+  const filename = `${req.params.dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  let clientGone = false;
+  let rowsSent = 0;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  try {
+    let lastId = 0;
+    let firstBatch = true;
+
+    while (!clientGone) {
+      const result = await pool.query(batchQuery, [...params, lastId, EXPORT_BATCH_SIZE]);
+
+      // Errors in the first query can still be reported as JSON
+      if (firstBatch) {
+        res.set({
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store'
+        });
+
+        if (format === 'csv') {
+          res.write(dataset.columns.join(',') + '\n');
+        }
+        firstBatch = false;
+      }
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      const chunk = result.rows.map(row => format === 'csv'
+        ? dataset.columns.map(column => toCsvField(row[column])).join(',')
+        : JSON.stringify(Object.fromEntries(dataset.columns.map(column => [column, row[column]])))
+      ).join('\n') + '\n';
+
+      lastId = result.rows[result.rows.length - 1].id;
+      rowsSent += result.rows.length;
+
+      if (!res.write(chunk) && !clientGone) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+
+      if (result.rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    res.end();
+    console.log(`Admin ${req.adminUser.email} exported ${rowsSent} ${req.params.dataset} rows as ${format}`);
+
+  } catch (error) {
+    console.error(`Export ${req.params.dataset} error:`, error.message);
+
+    if (res.headersSent) {
+      // Cut the download short so it can't be mistaken for a complete file
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export data',
+      details: error.message
+    });
+  }
+});
+
+// Get recent plan changes (admin only)
+app.get('/api/admin/tier-changes', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+
+    const result = await pool.query(`
+      SELECT 
+        tc.id,
+        tc.from_plan,
+        tc.to_plan,
+        tc.direction,
+        tc.policy,
+        tc.credits_change,
+        tc.notes,
+        tc.created_at,
+        m.circle_member_id,
+        m.name as member_name,
+        m.email as member_email
+      FROM tier_changes tc
+      JOIN members m ON tc.member_id = m.id
+      ORDER BY tc.created_at DESC
+      LIMIT $1
+    `, [parseInt(limit)]);
+
+    res.json({
+      success: true,
+      downgrade_policy: DOWNGRADE_POLICY,
+      tier_changes: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get tier changes error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch tier changes',
+      details: error.message
+    });
+  }
+});
+
+// Search the admin audit log (admin only)
+// Filters: admin (email), action, target (Circle member ID or email), status (success/failure),
+// from/to (dates), q (free text over the request payload and details)
+app.get('/api/admin/audit-log', checkAdminToken, requireAdminPermission('admin:manage'), async (req, res) => {
+  try {
+    const { admin, action, target, status, from, to, q, limit = 100, offset = 0 } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (admin) {
+      params.push(admin.toLowerCase());
+      conditions.push(`LOWER(l.admin_email) = $${params.length}`);
+    }
+
+    if (action) {
+      params.push(containsPattern(action));
+      conditions.push(`l.action ILIKE $${params.length}`);
+    }
+
+    if (target) {
+      params.push(target, target.toLowerCase());
+      conditions.push(`(t.circle_member_id = $${params.length - 1} OR LOWER(t.email) = $${params.length})`);
+    }
+
+    if (status === 'success') {
+      conditions.push('l.response_status < 400');
+    } else if (status === 'failure') {
+      conditions.push('l.response_status >= 400');
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`l.created_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`l.created_at < $${params.length}::date + 1`);
+    }
+
+    if (q) {
+      params.push(containsPattern(q));
+      conditions.push(`(l.request_payload::text ILIKE $${params.length} OR l.details::text ILIKE $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(Math.min(parseInt(limit) || 100, 500), parseInt(offset) || 0);
+
+    const result = await pool.query(`
+      SELECT 
+        l.id,
+        l.admin_email,
+        l.admin_role,
+        l.admin_session_id,
+        l.action,
+        l.request_path,
+        l.request_payload,
+        l.balance_before,
+        l.balance_after,
+        l.details,
+        l.response_status,
+        l.ip_address,
+        l.created_at,
+        t.circle_member_id as target_circle_member_id,
+        t.name as target_name,
+        t.email as target_email
+      FROM admin_audit_log l
+      LEFT JOIN members t ON l.target_member_id = t.id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      entries: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error.message);
+
+    if (error.code === '22007' || error.code === '22008') {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be dates, e.g. 2024-01-31'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      details: error.message
+    });
+  }
+});
+
+// Get database stats (admin only)
+app.get('/api/admin/stats', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const [
+      memberCount,
+      totalCredits,
+      totalActions,
+      recentActions
+    ] = await Promise.all([
+      pool.query('SELECT COUNT(*) as count FROM members'),
+      pool.query('SELECT COALESCE(SUM(credits_balance), 0) as total FROM member_credits'),
+      pool.query('SELECT COUNT(*) as count FROM app_actions'),
+      pool.query('SELECT COUNT(*) as count FROM app_actions WHERE created_at > NOW() - INTERVAL \'24 hours\'')
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        total_members: parseInt(memberCount.rows[0].count),
+        total_credits: parseInt(totalCredits.rows[0].total),
+        total_actions: parseInt(totalActions.rows[0].count),
+        actions_24h: parseInt(recentActions.rows[0].count)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stats error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch statistics',
+      details: error.message
+    });
+  }
+});
+
+// Credit economy analytics (admin only)
+// Daily or weekly buckets (UTC) between from and to (inclusive dates, default the last 30 days).
+// Paid/free splits use each member's current plan.
+const ANALYTICS_MAX_BUCKETS = 366;
+const ANALYTICS_SPEND_TYPES = ['action_cost', 'hold_captured'];
+
+// Spread grouped rows ({ bucket, series, value }) over the bucket list, one array per series
+function toBucketSeries(buckets, rows) {
+  const series = {};
+
+  for (const row of rows) {
+    if (!series[row.series]) {
+      series[row.series] = buckets.map(() => 0);
+    }
+    series[row.series][buckets.indexOf(row.bucket)] = parseInt(row.value, 10);
+  }
+
+  return series;
+}
+
+app.get('/api/admin/analytics', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
+  try {
+    const interval = req.query.interval === 'week' ? 'week' : 'day';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: 'from and to must be dates (e.g. 2024-01-31), with from on or before to'
+      });
+    }
+
+    const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+    if (days / (interval === 'week' ? 7 : 1) > ANALYTICS_MAX_BUCKETS) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: `The range can cover at most ${ANALYTICS_MAX_BUCKETS} ${interval}s`
+      });
+    }
+
+    const range = [interval, from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)];
+    const bucketOf = column => `to_char(date_trunc($1, ${column} AT TIME ZONE 'UTC'), 'YYYY-MM-DD')`;
+    const inRange = column => `${column} AT TIME ZONE 'UTC' >= $2::date AND ${column} AT TIME ZONE 'UTC' < $3::date + 1`;
+    const planSeries = `CASE WHEN m.is_paid THEN 'paid' ELSE 'free' END`;
+
+    const [
+      bucketsResult,
+      activeResult,
+      newMembersResult,
+      grantedResult,
+      removedResult,
+      spentByActionResult,
+      spentByPlanResult,
+      purchasesResult
+    ] = await Promise.all([
+      pool.query(`
+        SELECT to_char(bucket, 'YYYY-MM-DD') as bucket
+        FROM generate_series(date_trunc($1, $2::timestamp), $3::timestamp, ('1 ' || $1)::interval) bucket
+      `, range),
+      // Active members took at least one action in the bucket
+      pool.query(`
+        SELECT ${bucketOf('aa.created_at')} as bucket, ${planSeries} as series, COUNT(DISTINCT aa.member_id) as value
+        FROM app_actions aa
+        JOIN members m ON aa.member_id = m.id
+        WHERE ${inRange('aa.created_at')}
+        GROUP BY 1, 2
+      `, range),
+      pool.query(`
+        SELECT ${bucketOf('m.first_seen_at')} as bucket, ${planSeries} as series, COUNT(*) as value
+        FROM members m
+        WHERE ${inRange('m.first_seen_at')}
+        GROUP BY 1, 2
+      `, range),
+      pool.query(`
+        SELECT ${bucketOf('ch.created_at')} as bucket, ch.change_type as series, SUM(ch.change_amount) as value
+        FROM credit_history ch
+        WHERE ${inRange('ch.created_at')} AND ch.change_amount > 0 AND ch.duplicate_of IS NULL
+        GROUP BY 1, 2
+      `, range),
+      // Credits taken away other than by spending (expiry, downgrades, corrections)
+      pool.query(`
+        SELECT ${bucketOf('ch.created_at')} as bucket, ch.change_type as series, -SUM(ch.change_amount) as value
+        FROM credit_history ch
+        WHERE ${inRange('ch.created_at')} AND ch.change_amount < 0 AND ch.change_type <> ALL($4::text[])
+          AND ch.duplicate_of IS NULL
+        GROUP BY 1, 2
+      `, [...range, ANALYTICS_SPEND_TYPES]),
+      pool.query(`
+        SELECT ${bucketOf('ch.created_at')} as bucket, COALESCE(aa.action_type, 'unknown') as series, -SUM(ch.change_amount) as value
+        FROM credit_history ch
+        LEFT JOIN app_actions aa ON ch.reference_id = aa.id
+        WHERE ${inRange('ch.created_at')} AND ch.change_type = ANY($4::text[])
+          AND ch.duplicate_of IS NULL
+        GROUP BY 1, 2
+      `, [...range, ANALYTICS_SPEND_TYPES]),
+      pool.query(`
+        SELECT ${bucketOf('ch.created_at')} as bucket, ${planSeries} as series, -SUM(ch.change_amount) as value
+        FROM credit_history ch
+        JOIN members m ON ch.member_id = m.id
+        WHERE ${inRange('ch.created_at')} AND ch.change_type = ANY($4::text[])
+          AND ch.duplicate_of IS NULL
+        GROUP BY 1, 2
+      `, [...range, ANALYTICS_SPEND_TYPES]),
+      // Purchase tags are named after their price, so credits purchased doubles as a revenue proxy
+      pool.query(`
+        SELECT bucket, series, value FROM (
+          SELECT ${bucketOf('pt.processed_at')} as bucket, COUNT(*) as purchases, SUM(pt.credits_granted) as credits
+          FROM processed_purchase_tags pt
+          WHERE ${inRange('pt.processed_at')}
+          GROUP BY 1
+        ) p
+        CROSS JOIN LATERAL (VALUES ('purchases', p.purchases), ('credits', p.credits)) AS v(series, value)
+      `, range)
+    ]);
+
+    const buckets = bucketsResult.rows.map(row => row.bucket);
+    const withPlans = series => ({ paid: buckets.map(() => 0), free: buckets.map(() => 0), ...series });
+
+    res.json({
+      success: true,
+      range: {
+        from: range[1],
+        to: range[2],
+        interval
+      },
+      buckets,
+      active_members: withPlans(toBucketSeries(buckets, activeResult.rows)),
+      new_members: withPlans(toBucketSeries(buckets, newMembersResult.rows)),
+      credits_granted: toBucketSeries(buckets, grantedResult.rows),
+      credits_removed: toBucketSeries(buckets, removedResult.rows),
+      credits_spent: {
+        by_action_type: toBucketSeries(buckets, spentByActionResult.rows),
+        by_plan: withPlans(toBucketSeries(buckets, spentByPlanResult.rows))
+      },
+      purchases: {
+        purchases: buckets.map(() => 0),
+        credits: buckets.map(() => 0),
+        ...toBucketSeries(buckets, purchasesResult.rows)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get analytics error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch analytics',
+      details: error.message
+    });
+  }
+});
+
+// Manual credit refresh endpoint for admins
+// Supports an Idempotency-Key header so retried requests don't grant twice
+app.post('/api/admin/refresh-credits/:circle_member_id', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { circle_member_id } = req.params;
+    const { force_refresh = false } = req.body;
+    const bonus_credits = parseInt(req.body.bonus_credits, 10) || 0;
+    const idempotencyKey = getIdempotencyKey(req);
+
+    if (idempotencyKey === false) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        message: 'Idempotency keys must be at most 255 characters'
+      });
+    }
+    
+    // Get member from database
+    const memberResult = await pool.query(`
+      SELECT m.id, m.email, m.name, m.is_paid, m.plan
+      FROM members m
+      WHERE m.circle_member_id = $1
+    `, [circle_member_id]);
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'No member found with the specified Circle member ID'
+      });
+    }
+
+    const member = memberResult.rows[0];
+    req.audit.target_member_id = member.id;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Replay the original response if this key was already used for this member
+      if (idempotencyKey) {
+        const replay = await claimIdempotencyKey(client, member.id, 'admin_refresh_credits', idempotencyKey);
+        if (replay) {
+          await client.query('COMMIT');
+          console.log(`Replaying admin credit refresh for ${member.email} (idempotency key ${idempotencyKey})`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(replay.response_status).json(replay.response_body);
+        }
+      }
+
+      const creditsResult = await client.query(`
+        SELECT credits_balance FROM member_credits WHERE member_id = $1 FOR UPDATE
+      `, [member.id]);
+
+      if (creditsResult.rows.length === 0) {
+        throw new Error('Credit record not found');
+      }
+
+      const previousBalance = creditsResult.rows[0].credits_balance;
+      let finalBalance = previousBalance;
+      req.audit.balance_before = previousBalance;
+      let totalCreditsAdded = 0;
+      let operations = [];
+
+      // Add bonus credits if specified
+      if (bonus_credits > 0) {
+        ({ newBalance: finalBalance } = await applyCreditChange(client, member.id, bonus_credits, {
+          changeType: 'admin_bonus',
+          notes: `Manual credit bonus added by admin ${req.adminUser.email}`,
+          actor: `admin ${req.adminUser.email}`
+        }));
+
+        totalCreditsAdded += bonus_credits;
+        operations.push(`Added ${bonus_credits} bonus credits`);
+      }
+
+      // Force monthly refresh if requested
+      if (force_refresh) {
+        const monthlyCredits = getPlan(member.plan).monthly_credits;
+
+        const forfeited = await applyMonthlyRolloverCap(client, member.id);
+        if (forfeited > 0) {
+          operations.push(`Forfeited ${forfeited} unused monthly credits over the rollover cap`);
+        }
+
+        ({ newBalance: finalBalance } = await applyCreditChange(client, member.id, monthlyCredits, {
+          changeType: 'admin_refresh',
+          notes: `Manual monthly refresh by admin ${req.adminUser.email}`,
+          actor: `admin ${req.adminUser.email}`
+        }));
+
+        await client.query(`
+          UPDATE member_credits SET last_refreshed_at = NOW(), refresh_anchor_at = NOW() WHERE member_id = $1
+        `, [member.id]);
+
+        totalCreditsAdded += monthlyCredits;
+        operations.push(`Added ${monthlyCredits} monthly refresh credits`);
+      }
+
+      const responseBody = {
+        success: true,
+        member: {
+          circle_member_id,
+          email: member.email,
+          name: member.name,
+          is_paid: member.is_paid,
+          plan: member.plan
+        },
+        credits: {
+          previous_balance: previousBalance,
+          credits_added: totalCreditsAdded,
+          current_balance: finalBalance
+        },
+        operations,
+        admin_user: req.adminUser.email
+      };
+
+      if (idempotencyKey) {
+        await storeIdempotentResponse(client, member.id, 'admin_refresh_credits', idempotencyKey, 200, responseBody);
+      }
+
+      await client.query('COMMIT');
+      req.audit.balance_after = finalBalance;
+
+      console.log(`Admin ${req.adminUser.email} performed credit operations for ${member.email}: ${operations.join(', ')}`);
+
+      res.json(responseBody);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Manual credit refresh error:', error.message);
+    res.status(500).json({
+      error: 'Failed to refresh credits',
+      details: error.message
+    });
+  }
+});
+
+// Manually adjust a member's balance (admin only)
+// Send either amount (positive or negative) or set_balance, plus a reason.
+// Supports an Idempotency-Key header so retried requests don't apply twice
+app.post('/api/admin/adjust-credits/:circle_member_id', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { circle_member_id } = req.params;
+    const { amount, set_balance } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const idempotencyKey = getIdempotencyKey(req);
+
+    if (idempotencyKey === false) {
+      return res.status(400).json({
+        error: 'Invalid idempotency key',
+        message: 'Idempotency keys must be at most 255 characters'
+      });
+    }
+
+    if ((amount === undefined) === (set_balance === undefined)) {
+      return res.status(400).json({
+        error: 'Invalid adjustment',
+        message: 'Send either amount or set_balance'
+      });
+    }
+
+    if (amount !== undefined && (!Number.isInteger(amount) || amount === 0)) {
+      return res.status(400).json({
+        error: 'Invalid adjustment',
+        message: 'amount must be a non-zero integer'
+      });
+    }
+
+    if (set_balance !== undefined && (!Number.isInteger(set_balance) || set_balance < 0)) {
+      return res.status(400).json({
+        error: 'Invalid adjustment',
+        message: 'set_balance must be a non-negative integer'
+      });
+    }
+
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Reason required',
+        message: 'Provide a reason (up to 500 characters) for the adjustment'
+      });
+    }
+
+    const memberResult = await pool.query(`
+      SELECT m.id, m.email, m.name, m.plan
+      FROM members m
+      WHERE m.circle_member_id = $1
+    `, [circle_member_id]);
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'No member found with the specified Circle member ID'
+      });
+    }
+
+    const member = memberResult.rows[0];
+    req.audit.target_member_id = member.id;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (idempotencyKey) {
+        const replay = await claimIdempotencyKey(client, member.id, 'admin_adjust_credits', idempotencyKey);
+        if (replay) {
+          await client.query('COMMIT');
+          console.log(`Replaying admin credit adjustment for ${member.email} (idempotency key ${idempotencyKey})`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(replay.response_status).json(replay.response_body);
+        }
+      }
+
+      // Lock the balance so set_balance is computed against the value being replaced
+      const creditsResult = await client.query(`
+        SELECT credits_balance, credits_held FROM member_credits WHERE member_id = $1 FOR UPDATE
+      `, [member.id]);
+
+      if (creditsResult.rows.length === 0) {
+        throw new Error('Credit record not found');
+      }
+
+      const { credits_balance: previousBalance, credits_held } = creditsResult.rows[0];
+      const change = amount !== undefined ? amount : set_balance - previousBalance;
+      req.audit.balance_before = previousBalance;
+
+      // Credits reserved by active holds can't be taken away
+      if (previousBalance + change < credits_held) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: 'Insufficient credits',
+          message: `The balance can't go below the ${credits_held} credits reserved by active holds`
+        });
+      }
+
+      let finalBalance = previousBalance;
+
+      if (change !== 0) {
+        ({ newBalance: finalBalance } = await applyCreditChange(client, member.id, change, {
+          changeType: 'manual_adjustment',
+          notes: `Manual adjustment by admin ${req.adminUser.email}: ${reason}`,
+          actor: `admin ${req.adminUser.email}`
+        }));
+      }
+
+      const responseBody = {
+        success: true,
+        member: {
+          circle_member_id,
+          email: member.email,
+          name: member.name,
+          plan: member.plan
+        },
+        credits: {
+          previous_balance: previousBalance,
+          credits_change: change,
+          current_balance: finalBalance
+        },
+        reason,
+        admin_user: req.adminUser.email
+      };
+
+      if (idempotencyKey) {
+        await storeIdempotentResponse(client, member.id, 'admin_adjust_credits', idempotencyKey, 200, responseBody);
+      }
+
+      await client.query('COMMIT');
+      req.audit.balance_after = finalBalance;
+
+      console.log(`Admin ${req.adminUser.email} adjusted credits for ${member.email} by ${change} (${previousBalance} -> ${finalBalance}): ${reason}`);
+
+      res.json(responseBody);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Manual credit adjustment error:', error.message);
+    res.status(500).json({
+      error: 'Failed to adjust credits',
+      details: error.message
+    });
+  }
+});
+
+// Ledger reconciliation (admin only)
+// Lists members whose balance differs from the sum of their credit_history, with the rows that break
+// the chain. member narrows the check to one member (Circle member ID or email).
+app.get('/api/admin/reconciliation', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const { member } = req.query;
+    let memberIds = null;
+
+    if (member) {
+      const memberResult = await pool.query(`
+        SELECT id FROM members WHERE ${/^\d+$/.test(member) ? 'circle_member_id = $1' : 'LOWER(email) = LOWER($1)'}
+      `, [member]);
+
+      if (memberResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Member not found',
+          message: 'No member found with the specified Circle member ID or email'
+        });
+      }
+      memberIds = [memberResult.rows[0].id];
+    }
+
+    const [{ members_checked, mismatches }, lastCheckResult] = await Promise.all([
+      findLedgerMismatches(pool, { memberIds }),
+      pool.query(`
+        SELECT id, status, summary, error_message, started_at, finished_at
+        FROM scheduled_job_runs
+        WHERE job_name = 'ledger_check'
+        ORDER BY started_at DESC
+        LIMIT 1
+      `)
+    ]);
+
+    res.json({
+      success: true,
+      summary: {
+        members_checked,
+        mismatches: mismatches.length,
+        total_difference: mismatches.reduce((sum, mismatch) => sum + mismatch.difference, 0)
+      },
+      mismatches,
+      last_check: lastCheckResult.rows[0] || null
+    });
+
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error.message);
+    res.status(500).json({
+      error: 'Failed to reconcile ledger',
+      details: error.message
+    });
+  }
+});
+
+// Write correcting 'reconciliation' rows under the admin's name (admin only)
+// Balances are left as they are; each correction logs the difference the ledger is missing.
+// circle_member_ids limits the correction to those members, otherwise every mismatch is corrected.
+app.post('/api/admin/reconciliation', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { circle_member_ids } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Reason required',
+        message: 'Provide a reason (up to 500 characters) for the reconciliation'
+      });
+    }
+
+    if (circle_member_ids !== undefined && (!Array.isArray(circle_member_ids) || circle_member_ids.length === 0 ||
+        !circle_member_ids.every(id => /^\d+$/.test(String(id))))) {
+      return res.status(400).json({
+        error: 'Invalid members',
+        message: 'circle_member_ids must be a non-empty list of Circle member IDs'
+      });
+    }
+
+    let memberIds = null;
+
+    if (circle_member_ids) {
+      const membersResult = await pool.query(`
+        SELECT id FROM members WHERE circle_member_id = ANY($1::bigint[])
+      `, [circle_member_ids.map(String)]);
+      memberIds = membersResult.rows.map(row => row.id);
+    }
+
+    const corrections = await correctLedgerMismatches(pool, {
+      actor: `admin ${req.adminUser.email}`,
+      reason,
+      memberIds
+    });
+    const totalDifference = corrections.reduce((sum, correction) => sum + correction.change_amount, 0);
+
+    req.audit.details = { members_corrected: corrections.length, total_difference: totalDifference };
+    if (corrections.length === 1) {
+      req.audit.target_member_id = corrections[0].member_id;
+    }
+
+    console.log(`Admin ${req.adminUser.email} reconciled the ledger for ${corrections.length} members (${totalDifference} credits): ${reason}`);
+
+    res.json({
+      success: true,
+      summary: {
+        members_corrected: corrections.length,
+        total_difference: totalDifference
+      },
+      corrections,
+      admin_user: req.adminUser.email
+    });
+
+  } catch (error) {
+    console.error('Ledger correction error:', error.message);
+    res.status(500).json({
+      error: 'Failed to correct ledger',
+      details: error.message
+    });
+  }
+});
+
+// Bulk credit grants
+// A batch snapshots the members matching a segment, then grants each of them in its own
+// transaction so a failure for one member doesn't undo the rest. Batches can be reversed as a whole.
+const BULK_GRANT_MAX_LIST_SIZE = 10000;
+
+// Validate a bulk grant segment: is_paid, plan, tag, last_seen_from, last_seen_to,
+// circle_member_ids, emails (all optional, combined with AND, at least one required)
+function validateSegment(segment) {
+  const errors = [];
+
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+    return ['segment must be an object'];
+  }
+
+  const filters = ['is_paid', 'plan', 'tag', 'last_seen_from', 'last_seen_to', 'circle_member_ids', 'emails'];
+  const unknown = Object.keys(segment).filter(key => !filters.includes(key));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown segment filters: ${unknown.join(', ')}`);
+  }
+
+  if (!filters.some(key => segment[key] !== undefined && segment[key] !== null && segment[key] !== '')) {
+    errors.push('segment needs at least one filter');
+  }
+
+  if (segment.is_paid !== undefined && typeof segment.is_paid !== 'boolean') {
+    errors.push('is_paid must be true or false');
+  }
+
+  if (segment.plan && !membershipPlans.byKey.has(segment.plan)) {
+    errors.push(`Unknown plan: ${segment.plan}`);
+  }
+
+  if (segment.tag !== undefined && (typeof segment.tag !== 'string' || !segment.tag.trim())) {
+    errors.push('tag must be a non-empty string');
+  }
+
+  for (const key of ['last_seen_from', 'last_seen_to']) {
+    if (segment[key] && isNaN(Date.parse(segment[key]))) {
+      errors.push(`${key} must be a date`);
+    }
+  }
+
+  for (const key of ['circle_member_ids', 'emails']) {
+    if (segment[key] === undefined) continue;
+
+    if (!Array.isArray(segment[key]) || segment[key].length === 0) {
+      errors.push(`${key} must be a non-empty array`);
+    } else if (segment[key].length > BULK_GRANT_MAX_LIST_SIZE) {
+      errors.push(`${key} can list at most ${BULK_GRANT_MAX_LIST_SIZE} members`);
+    }
+  }
+
+  if (Array.isArray(segment.circle_member_ids) && segment.circle_member_ids.some(id => !/^\d+$/.test(String(id)))) {
+    errors.push('circle_member_ids must be numeric Circle member IDs');
+  }
+
+  return errors;
+}
+
+// Build the WHERE clause selecting a segment's members (aliased m)
+function buildSegmentFilter(segment) {
+  const conditions = [];
+  const params = [];
+
+  if (typeof segment.is_paid === 'boolean') {
+    params.push(segment.is_paid);
+    conditions.push(`m.is_paid = $${params.length}`);
+  }
+
+  if (segment.plan) {
+    params.push(segment.plan);
+    conditions.push(`m.plan = $${params.length}`);
+  }
+
+  // Same exact, case-insensitive tag matching as plan resolution
+  if (segment.tag) {
+    params.push(segment.tag.trim().toLowerCase());
+    conditions.push(`EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(m.tags) = 'array' THEN m.tags ELSE '[]'::jsonb END
+      ) AS tag
+      WHERE LOWER(TRIM(tag)) = $${params.length}
+    )`);
+  }
+
+  if (segment.last_seen_from) {
+    params.push(segment.last_seen_from);
+    conditions.push(`m.last_seen_at >= $${params.length}`);
+  }
+
+  if (segment.last_seen_to) {
+    params.push(segment.last_seen_to);
+    conditions.push(`m.last_seen_at < $${params.length}::date + 1`);
+  }
+
+  if (segment.circle_member_ids) {
+    params.push(segment.circle_member_ids.map(String));
+    conditions.push(`m.circle_member_id = ANY($${params.length}::bigint[])`);
+  }
+
+  if (segment.emails) {
+    params.push(segment.emails.map(email => String(email).trim().toLowerCase()));
+    conditions.push(`LOWER(m.email) = ANY($${params.length}::text[])`);
+  }
+
+  return {
+    whereClause: conditions.join(' AND '),
+    params
+  };
+}
+
+// Grant a batch's credits to each of its pending members
+// Safe to run on several replicas at once: each member row is claimed with SKIP LOCKED
+async function processBulkGrantBatch(batchId) {
+  const batchResult = await pool.query(`
+    UPDATE credit_grant_batches 
+    SET status = 'running', started_at = COALESCE(started_at, NOW())
+    WHERE id = $1 AND status IN ('pending', 'running')
+    RETURNING amount, reason, (SELECT email FROM members WHERE id = created_by) AS created_by_email
+  `, [batchId]);
+
+  if (batchResult.rows.length === 0) {
+    return;
+  }
+
+  const { amount, reason, created_by_email } = batchResult.rows[0];
+  const client = await pool.connect();
+
+  try {
+    while (true) {
+      await client.query('BEGIN');
+
+      const rowResult = await client.query(`
+        SELECT id, member_id
+        FROM credit_grant_batch_members
+        WHERE batch_id = $1 AND status = 'pending'
+        ORDER BY id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `, [batchId]);
+
+      if (rowResult.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+
+      const row = rowResult.rows[0];
+
+      try {
+        await client.query('SAVEPOINT bulk_grant_member');
+
+        const { historyId } = await applyCreditChange(client, row.member_id, amount, {
+          changeType: 'bulk_grant',
+          notes: `Bulk grant #${batchId}: ${reason}`,
+          actor: created_by_email ? `admin ${created_by_email}` : 'system'
+        });
+
+        await client.query(`
+          UPDATE credit_grant_batch_members 
+          SET status = 'granted', credit_history_id = $1, processed_at = NOW()
+          WHERE id = $2
+        `, [historyId, row.id]);
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT bulk_grant_member');
+        await client.query(`
+          UPDATE credit_grant_batch_members 
+          SET status = 'failed', error_message = $1, processed_at = NOW()
+          WHERE id = $2
+        `, [error.message, row.id]);
+        console.error(`Bulk grant #${batchId} failed for member ${row.member_id}:`, error.message);
+      }
+
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const finishResult = await pool.query(`
+    UPDATE credit_grant_batches b
+    SET status = 'completed',
+        completed_at = NOW(),
+        granted_count = counts.granted,
+        failed_count = counts.failed
+    FROM (
+      SELECT COUNT(*) FILTER (WHERE status = 'granted') AS granted,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed
+      FROM credit_grant_batch_members
+      WHERE batch_id = $1
+    ) counts
+    WHERE b.id = $1 AND b.status = 'running'
+      AND NOT EXISTS (
+        SELECT 1 FROM credit_grant_batch_members 
+        WHERE batch_id = $1 AND status = 'pending'
+      )
+    RETURNING b.granted_count, b.failed_count
+  `, [batchId]);
+
+  if (finishResult.rows.length > 0) {
+    const { granted_count, failed_count } = finishResult.rows[0];
+    console.log(`Bulk grant #${batchId} complete: ${amount} credits to ${granted_count} members (${failed_count} failed)`);
+  }
+}
+
+// Take back a batch's credits from each member it was granted to
+// Only what's left of each member's bulk grant bucket is removed: credits already spent
+// or reserved by an active hold stay with the member.
+async function reverseBulkGrantBatch(batchId) {
+  const batchResult = await pool.query(`
+    SELECT b.reversal_reason, reverser.email AS reversed_by_email
+    FROM credit_grant_batches b
+    LEFT JOIN members reverser ON b.reversed_by = reverser.id
+    WHERE b.id = $1 AND b.status = 'reversing'
+  `, [batchId]);
+
+  if (batchResult.rows.length === 0) {
+    return;
+  }
+
+  const { reversal_reason, reversed_by_email } = batchResult.rows[0];
+  const client = await pool.connect();
+
+  try {
+    while (true) {
+      await client.query('BEGIN');
+
+      const rowResult = await client.query(`
+        SELECT id, member_id, credit_history_id
+        FROM credit_grant_batch_members
+        WHERE batch_id = $1 AND status = 'granted'
+        ORDER BY id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `, [batchId]);
+
+      if (rowResult.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+
+      const row = rowResult.rows[0];
+
+      // Lock the balance before the bucket, in the same order as spends
+      const creditsResult = await client.query(`
+        SELECT credits_balance - credits_held AS credits_available
+        FROM member_credits WHERE member_id = $1 FOR UPDATE
+      `, [row.member_id]);
+
+      const grantResult = await client.query(`
+        SELECT id, amount_remaining FROM credit_grants WHERE credit_history_id = $1 FOR UPDATE
+      `, [row.credit_history_id]);
+
+      const available = creditsResult.rows.length > 0 ? creditsResult.rows[0].credits_available : 0;
+      const grant = grantResult.rows[0];
+      const reversing = grant ? Math.max(0, Math.min(grant.amount_remaining, available)) : 0;
+
+      if (reversing > 0) {
+        await applyCreditChange(client, row.member_id, -reversing, {
+          changeType: 'bulk_grant_reversal',
+          notes: `Reversal of bulk grant #${batchId}: ${reversal_reason}`,
+          actor: reversed_by_email ? `admin ${reversed_by_email}` : 'system',
+          grantId: grant.id
+        });
+      }
+
+      await client.query(`
+        UPDATE credit_grant_batch_members 
+        SET status = 'reversed', credits_reversed = $1, reversed_at = NOW()
+        WHERE id = $2
+      `, [reversing, row.id]);
+
+      await client.query('COMMIT');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const finishResult = await pool.query(`
+    UPDATE credit_grant_batches 
+    SET status = 'reversed',
+        reversed_at = NOW(),
+        credits_reversed = (
+          SELECT COALESCE(SUM(credits_reversed), 0) FROM credit_grant_batch_members WHERE batch_id = $1
+        )
+    WHERE id = $1 AND status = 'reversing'
+      AND NOT EXISTS (
+        SELECT 1 FROM credit_grant_batch_members 
+        WHERE batch_id = $1 AND status = 'granted'
+      )
+    RETURNING credits_reversed
+  `, [batchId]);
+
+  if (finishResult.rows.length > 0) {
+    console.log(`Bulk grant #${batchId} reversed: ${finishResult.rows[0].credits_reversed} credits taken back`);
+  }
+}
+
+// Pick up batches left unfinished by a restart
+async function resumeBulkGrantBatches() {
+  const result = await pool.query(`
+    SELECT id, status FROM credit_grant_batches 
+    WHERE status IN ('pending', 'running', 'reversing')
+    ORDER BY id
+  `);
+
+  for (const batch of result.rows) {
+    console.log(`Resuming bulk grant #${batch.id} (${batch.status})`);
+
+    if (batch.status === 'reversing') {
+      await reverseBulkGrantBatch(batch.id);
+    } else {
+      await processBulkGrantBatch(batch.id);
+    }
+  }
+}
+
+// Preview or start a bulk credit grant (admin only)
+// With dry_run, returns the matching member count and a sample without granting anything
+app.post('/api/admin/bulk-grants', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { amount, segment, dry_run = false } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const errors = validateSegment(segment);
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      errors.push('amount must be a positive integer');
+    }
+
+    if (!reason || reason.length > 500) {
+      errors.push('reason is required (up to 500 characters)');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid bulk grant',
+        message: errors.join('; ')
+      });
+    }
+
+    const { whereClause, params } = buildSegmentFilter(segment);
+
+    if (dry_run) {
+      const previewResult = await pool.query(`
+        SELECT COUNT(*)::int AS member_count,
+               (ARRAY_AGG(json_build_object(
+                 'circle_member_id', m.circle_member_id, 'name', m.name, 'email', m.email
+               ) ORDER BY m.id))[1:10] AS sample
+        FROM members m
+        JOIN member_credits mc ON mc.member_id = m.id
+        WHERE ${whereClause}
+      `, params);
+
+      const { member_count, sample } = previewResult.rows[0];
+
+      return res.json({
+        success: true,
+        dry_run: true,
+        member_count,
+        total_credits: member_count * amount,
+        sample: sample || []
+      });
+    }
+
+    const client = await pool.connect();
+    let batch;
+
+    try {
+      await client.query('BEGIN');
+
+      const batchResult = await client.query(`
+        INSERT INTO credit_grant_batches (amount, reason, segment, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, amount, reason, segment, status, created_at
+      `, [amount, reason, JSON.stringify(segment), req.adminUser.member_id]);
+      batch = batchResult.rows[0];
+
+      // Snapshot the segment now, so members who join it later aren't included
+      const membersResult = await client.query(`
+        INSERT INTO credit_grant_batch_members (batch_id, member_id)
+        SELECT $${params.length + 1}, m.id
+        FROM members m
+        JOIN member_credits mc ON mc.member_id = m.id
+        WHERE ${whereClause}
+      `, [...params, batch.id]);
+
+      batch.member_count = membersResult.rowCount;
+
+      if (batch.member_count === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: 'Empty segment',
+          message: 'No members match this segment'
+        });
+      }
+
+      await client.query(`
+        UPDATE credit_grant_batches SET member_count = $1 WHERE id = $2
+      `, [batch.member_count, batch.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    req.audit.details = { batch_id: batch.id, member_count: batch.member_count };
+    console.log(`Admin ${req.adminUser.email} started bulk grant #${batch.id}: ${amount} credits to ${batch.member_count} members`);
+
+    processBulkGrantBatch(batch.id).catch(error => {
+      console.error(`Bulk grant #${batch.id} error:`, error.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      batch
+    });
+
+  } catch (error) {
+    console.error('Bulk grant error:', error.message);
+    res.status(500).json({
+      error: 'Failed to start bulk grant',
+      details: error.message
+    });
+  }
+});
+
+// List bulk grant batches (admin only)
+app.get('/api/admin/bulk-grants', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const result = await pool.query(`
+      SELECT 
+        b.id,
+        b.amount,
+        b.reason,
+        b.segment,
+        b.status,
+        b.member_count,
+        b.granted_count,
+        b.failed_count,
+        b.credits_reversed,
+        b.created_at,
+        b.completed_at,
+        b.reversed_at,
+        b.reversal_reason,
+        creator.email as created_by_email,
+        reverser.email as reversed_by_email
+      FROM credit_grant_batches b
+      LEFT JOIN members creator ON b.created_by = creator.id
+      LEFT JOIN members reverser ON b.reversed_by = reverser.id
+      ORDER BY b.created_at DESC
+      LIMIT $1
+    `, [parseInt(limit)]);
+
+    res.json({
+      success: true,
+      batches: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get bulk grants error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch bulk grants',
+      details: error.message
+    });
+  }
+});
+
+// Get a bulk grant batch with its per-member results (admin only)
+app.get('/api/admin/bulk-grants/:batch_id', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.batch_id, 10);
+
+    const batchResult = await pool.query(`
+      SELECT * FROM credit_grant_batches WHERE id = $1
+    `, [batchId]);
+
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'No bulk grant with that ID'
+      });
+    }
+
+    const membersResult = await pool.query(`
+      SELECT 
+        bm.status,
+        bm.error_message,
+        bm.credits_reversed,
+        bm.processed_at,
+        bm.reversed_at,
+        m.circle_member_id,
+        m.name,
+        m.email
+      FROM credit_grant_batch_members bm
+      JOIN members m ON bm.member_id = m.id
+      WHERE bm.batch_id = $1
+      ORDER BY bm.id
+    `, [batchId]);
+
+    res.json({
+      success: true,
+      batch: batchResult.rows[0],
+      members: membersResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get bulk grant error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch bulk grant',
+      details: error.message
+    });
+  }
+});
+
+// Reverse a completed bulk grant (admin only)
+app.post('/api/admin/bulk-grants/:batch_id/reverse', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.batch_id, 10);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Reason required',
+        message: 'Provide a reason (up to 500 characters) for the reversal'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE credit_grant_batches 
+      SET status = 'reversing', reversal_reason = $1, reversed_by = $2
+      WHERE id = $3 AND status = 'completed'
+      RETURNING id, status
+    `, [reason, req.adminUser.member_id, batchId]);
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT status FROM credit_grant_batches WHERE id = $1', [batchId]);
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          message: 'No bulk grant with that ID'
+        });
+      }
+
+      return res.status(409).json({
+        error: 'Batch cannot be reversed',
+        message: `Only completed batches can be reversed (this one is ${existing.rows[0].status})`
+      });
+    }
+
+    req.audit.details = { batch_id: batchId };
+    console.log(`Admin ${req.adminUser.email} is reversing bulk grant #${batchId}: ${reason}`);
+
+    reverseBulkGrantBatch(batchId).catch(error => {
+      console.error(`Bulk grant #${batchId} reversal error:`, error.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      batch: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Reverse bulk grant error:', error.message);
+    res.status(500).json({
+      error: 'Failed to reverse bulk grant',
+      details: error.message
+    });
+  }
+});
+
+// Member imports
+// An import CSV creates pending grants keyed by email (and optionally Circle member ID).
+// Members don't exist until they first log in, so each grant is applied by /api/auth on their next login.
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_COLUMNS = ['email', 'circle_member_id', 'credits', 'tier', 'notes'];
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes) into arrays of fields
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Validate an import CSV
+// Returns the grants to create and per-line errors (line 1 is the header)
+async function validateImportCsv(text) {
+  const records = parseCsv(text.replace(/^\uFEFF/, ''));
+  const errors = [];
+  const grants = [];
+
+  if (records.length === 0) {
+    return { grants, errors: [{ line: 1, message: 'The file is empty' }] };
+  }
+
+  const header = records[0].map(column => column.trim().toLowerCase());
+  // Accept a few common spellings of the credits and tier columns
+  const aliases = { starting_credits: 'credits', plan: 'tier' };
+  const columnIndex = {};
+  header.forEach((column, index) => {
+    columnIndex[aliases[column] || column] = index;
+  });
+
+  if (columnIndex.email === undefined) {
+    return { grants, errors: [{ line: 1, message: `Missing email column (columns: ${IMPORT_COLUMNS.join(', ')})` }] };
+  }
+
+  if (records.length - 1 > IMPORT_MAX_ROWS) {
+    return { grants, errors: [{ line: 1, message: `Imports are limited to ${IMPORT_MAX_ROWS} rows` }] };
+  }
+
+  const seenEmails = new Map();
+
+  records.slice(1).forEach((fields, index) => {
+    const line = index + 2;
+    const value = column => (columnIndex[column] === undefined ? '' : (fields[columnIndex[column]] || '').trim());
+    const email = value('email').toLowerCase();
+    const circleMemberId = value('circle_member_id');
+    const credits = value('credits');
+    const tier = value('tier').toLowerCase();
+    const notes = value('notes');
+    const lineErrors = [];
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      lineErrors.push('email is missing or invalid');
+    } else if (seenEmails.has(email)) {
+      lineErrors.push(`email is already on line ${seenEmails.get(email)}`);
+    } else {
+      seenEmails.set(email, line);
+    }
+
+    if (circleMemberId && !/^\d+$/.test(circleMemberId)) {
+      lineErrors.push('circle_member_id must be numeric');
+    }
+
+    if (credits && (!/^\d+$/.test(credits) || parseInt(credits, 10) > 100000)) {
+      lineErrors.push('credits must be a whole number from 0 to 100000');
+    }
+
+    if (tier && !membershipPlans.byKey.has(tier)) {
+      lineErrors.push(`Unknown tier "${tier}" (plans: ${[...membershipPlans.byKey.keys()].join(', ')})`);
+    }
+
+    if (!credits && !tier) {
+      lineErrors.push('credits or tier is required');
+    }
+
+    if (notes.length > 500) {
+      lineErrors.push('notes can be at most 500 characters');
+    }
+
+    if (lineErrors.length > 0) {
+      errors.push({ line, email: email || null, message: lineErrors.join('; ') });
+      return;
+    }
+
+    grants.push({
+      line,
+      email,
+      circle_member_id: circleMemberId || null,
+      // Without an explicit amount, the tier's initial credits are granted
+      credits: credits ? parseInt(credits, 10) : getPlan(tier).initial_credits,
+      tier: tier || null,
+      notes: notes || null
+    });
+  });
+
+  // A second pending grant for the same person would credit them twice
+  if (grants.length > 0) {
+    const pendingResult = await pool.query(`
+      SELECT LOWER(email) as email, import_id
+      FROM pending_grants
+      WHERE applied_at IS NULL AND LOWER(email) = ANY($1::text[])
+    `, [grants.map(grant => grant.email)]);
+    const pendingImports = new Map(pendingResult.rows.map(row => [row.email, row.import_id]));
+
+    for (const grant of grants.filter(grant => pendingImports.has(grant.email))) {
+      errors.push({
+        line: grant.line,
+        email: grant.email,
+        message: `Already has a pending grant from import #${pendingImports.get(grant.email)}`
+      });
+    }
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+
+  return {
+    grants: grants.filter(grant => !errors.some(error => error.line === grant.line)),
+    errors
+  };
+}
+
+// Apply a member's pending import grants inside the login credits transaction
+// Matches on email or Circle member ID; returns the number of credits granted
+async function applyPendingGrants(client, memberId, email, circleMemberId) {
+  const pendingResult = await client.query(`
+    SELECT pg.id, pg.import_id, pg.credits, pg.tier, pg.notes, creator.email AS imported_by_email
+    FROM pending_grants pg
+    JOIN member_imports mi ON mi.id = pg.import_id
+    LEFT JOIN members creator ON mi.created_by = creator.id
+    WHERE pg.applied_at IS NULL
+      AND (LOWER(pg.email) = LOWER($1) OR pg.circle_member_id = $2)
+    ORDER BY pg.id
+    FOR UPDATE OF pg SKIP LOCKED
+  `, [email, circleMemberId]);
+
+  let creditsGranted = 0;
+
+  for (const grant of pendingResult.rows) {
+    let historyId = null;
+
+    if (grant.credits > 0) {
+      ({ historyId } = await applyCreditChange(client, memberId, grant.credits, {
+        changeType: 'import_grant',
+        notes: `Imported credits (import #${grant.import_id}${grant.tier ? `, ${grant.tier} tier` : ''})${grant.notes ? `: ${grant.notes}` : ''}`,
+        actor: grant.imported_by_email ? `admin ${grant.imported_by_email}` : 'system'
+      }));
+      creditsGranted += grant.credits;
+    }
+
+    await client.query(`
+      UPDATE pending_grants 
+      SET applied_at = NOW(), applied_member_id = $1, credit_history_id = $2
+      WHERE id = $3
+    `, [memberId, historyId, grant.id]);
+  }
+
+  if (pendingResult.rows.length > 0) {
+    console.log(`Applied ${pendingResult.rows.length} pending import grants (${creditsGranted} credits) for ${email}`);
+  }
+
+  return creditsGranted;
+}
+
+// Validate or run a member import (admin only)
+// Body: csv (the file's text), filename, dry_run. Nothing is imported if any row is invalid.
+app.post('/api/admin/imports', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { csv, filename = null, dry_run = false } = req.body;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({
+        error: 'CSV required',
+        message: `Send the file's contents as csv, with columns: ${IMPORT_COLUMNS.join(', ')}`
+      });
+    }
+
+    const { grants, errors } = await validateImportCsv(csv);
+
+    const existingResult = grants.length > 0 ? await pool.query(`
+      SELECT COUNT(*)::int as count FROM members WHERE LOWER(email) = ANY($1::text[])
+    `, [grants.map(grant => grant.email)]) : null;
+
+    const summary = {
+      rows: grants.length + errors.length,
+      valid_rows: grants.length,
+      invalid_rows: errors.length,
+      total_credits: grants.reduce((sum, grant) => sum + grant.credits, 0),
+      existing_members: existingResult ? existingResult.rows[0].count : 0
+    };
+
+    if (dry_run || errors.length > 0) {
+      return res.status(errors.length > 0 && !dry_run ? 400 : 200).json({
+        success: errors.length === 0,
+        dry_run,
+        ...(errors.length > 0 && !dry_run ? {
+          error: 'Invalid rows',
+          message: `${errors.length} rows have errors; fix them and import again`
+        } : {}),
+        summary,
+        errors
+      });
+    }
+
+    const client = await pool.connect();
+    let memberImport;
+    let conflicts = [];
+
+    try {
+      await client.query('BEGIN');
+
+      const importResult = await client.query(`
+        INSERT INTO member_imports (filename, row_count, total_credits, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, filename, row_count, total_credits, created_at
+      `, [filename, grants.length, summary.total_credits, req.adminUser.member_id]);
+      memberImport = importResult.rows[0];
+
+      // An import running at the same time may have queued some of these emails since validation;
+      // the unique index on pending emails turns those rows into conflicts
+      const insertResult = await client.query(`
+        INSERT INTO pending_grants (import_id, line_number, email, circle_member_id, credits, tier, notes)
+        SELECT $1, * FROM jsonb_to_recordset($2::jsonb)
+          AS g(line integer, email text, circle_member_id bigint, credits integer, tier text, notes text)
+        ON CONFLICT (LOWER(email)) WHERE applied_at IS NULL DO NOTHING
+        RETURNING line_number
+      `, [memberImport.id, JSON.stringify(grants)]);
+
+      const insertedLines = new Set(insertResult.rows.map(row => row.line_number));
+      conflicts = grants.filter(grant => !insertedLines.has(grant.line));
+
+      await client.query(conflicts.length > 0 ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (conflicts.length > 0) {
+      const pendingResult = await pool.query(`
+        SELECT LOWER(email) as email, import_id
+        FROM pending_grants
+        WHERE applied_at IS NULL AND LOWER(email) = ANY($1::text[])
+      `, [conflicts.map(grant => grant.email)]);
+      const pendingImports = new Map(pendingResult.rows.map(row => [row.email, row.import_id]));
+
+      return res.status(400).json({
+        success: false,
+        dry_run,
+        error: 'Invalid rows',
+        message: `${conflicts.length} rows have errors; fix them and import again`,
+        summary: { ...summary, valid_rows: grants.length - conflicts.length, invalid_rows: conflicts.length },
+        errors: conflicts.map(grant => ({
+          line: grant.line,
+          email: grant.email,
+          message: pendingImports.has(grant.email)
+            ? `Already has a pending grant from import #${pendingImports.get(grant.email)}`
+            : 'Already has a pending grant from another import'
+        }))
+      });
+    }
+
+    req.audit.details = { import_id: memberImport.id, rows: grants.length, total_credits: summary.total_credits };
+    console.log(`Admin ${req.adminUser.email} imported ${grants.length} pending grants (${summary.total_credits} credits) from ${filename || 'CSV'}`);
+
+    res.status(201).json({
+      success: true,
+      import: memberImport,
+      summary,
+      errors: []
     });
 
   } catch (error) {
-    console.error('Get actions error:', error.message);
+    console.error('Member import error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch action history',
+      error: 'Failed to import members',
       details: error.message
     });
   }
 });
 
-// Get member's credit history
-app.get('/api/credits/:circle_member_id/history', async (req, res) => {
+// List member imports with how many grants have been applied (admin only)
+app.get('/api/admin/imports', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
   try {
-    const { circle_member_id } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
-    
-    if (!process.env.DATABASE_URL) {
-      return res.status(501).json({
-        error: 'Database not configured',
-        message: 'Credit history requires database configuration'
-      });
-    }
-
     const result = await pool.query(`
-      SELECT ch.change_amount, ch.change_type, ch.balance_after, 
-             ch.notes, ch.created_at, aa.action_type
-      FROM credit_history ch
-      JOIN members m ON ch.member_id = m.id
-      LEFT JOIN app_actions aa ON ch.reference_id = aa.id
-      WHERE m.circle_member_id = $1
-      ORDER BY ch.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [circle_member_id, parseInt(limit), parseInt(offset)]);
+      SELECT 
+        mi.id,
+        mi.filename,
+        mi.row_count,
+        mi.total_credits,
+        mi.created_at,
+        creator.email as created_by_email,
+        COUNT(pg.applied_at)::int as applied_count
+      FROM member_imports mi
+      LEFT JOIN members creator ON mi.created_by = creator.id
+      LEFT JOIN pending_grants pg ON pg.import_id = mi.id
+      GROUP BY mi.id, creator.email
+      ORDER BY mi.created_at DESC
+      LIMIT 100
+    `);
 
     res.json({
       success: true,
-      history: result.rows,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        count: result.rows.length
-      }
+      imports: result.rows
     });
 
   } catch (error) {
-    console.error('Get credit history error:', error.message);
+    console.error('Get imports error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch credit history',
+      error: 'Failed to fetch imports',
       details: error.message
     });
   }
 });
 
-// Admin endpoints - require database and valid admin token
-function checkAdminToken(req, res, next) {
-  if (!process.env.DATABASE_URL) {
-    return res.status(501).json({
-      error: 'Database not configured',
-      message: 'Admin features require database configuration'
-    });
-  }
-  
-  // Get token from query parameter or Authorization header
-  const token = req.query.token || 
-    (req.headers.authorization && req.headers.authorization.replace('Bearer ', ''));
-  
-  if (!token) {
-    return res.status(401).json({
-      error: 'Admin token required',
-      message: 'Valid admin token required to access this endpoint'
-    });
-  }
+// Get one import's grants and whether each has been applied (admin only)
+app.get('/api/admin/imports/:import_id', checkAdminToken, requireAdminPermission('history:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        pg.line_number,
+        pg.email,
+        pg.circle_member_id,
+        pg.credits,
+        pg.tier,
+        pg.notes,
+        pg.applied_at,
+        m.circle_member_id as applied_circle_member_id,
+        m.name as applied_member_name
+      FROM pending_grants pg
+      LEFT JOIN members m ON pg.applied_member_id = m.id
+      WHERE pg.import_id = $1
+      ORDER BY pg.line_number
+    `, [parseInt(req.params.import_id, 10)]);
 
-  // Check if token exists and is not expired
-  const tokenData = adminTokens.get(token);
-  if (!tokenData) {
-    return res.status(401).json({
-      error: 'Invalid token',
-      message: 'Admin token is invalid or has expired'
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Import not found',
+        message: 'No import with that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      grants: result.rows
     });
-  }
 
-  if (tokenData.expiresAt < new Date()) {
-    adminTokens.delete(token);
-    return res.status(401).json({
-      error: 'Token expired',
-      message: 'Admin token has expired, please generate a new one'
+  } catch (error) {
+    console.error('Get import error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch import',
+      details: error.message
     });
   }
+});
 
-  // Add admin info to request for logging
-  req.adminUser = tokenData;
-  next();
-}
-
-// Get all members (admin only)
-app.get('/api/admin/members', checkAdminToken, async (req, res) => {
+// Get the action pricing catalog (admin only)
+app.get('/api/admin/pricing', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT 
-        m.circle_member_id,
-        m.name,
-        m.email,
-        m.is_admin,
-        m.is_moderator,
-        m.is_paid,
-        m.first_seen_at,
-        m.last_seen_at,
-        COALESCE(mc.credits_balance, 0) as credits_balance
-      FROM members m
-      LEFT JOIN member_credits mc ON m.id = mc.member_id
-      ORDER BY m.last_seen_at DESC
+      SELECT action_type, name, description, credits_cost_free, credits_cost_paid,
+             is_active, created_at, updated_at
+      FROM action_pricing
+      ORDER BY action_type
     `);
 
     res.json({
       success: true,
-      members: result.rows
+      pricing: result.rows
     });
 
   } catch (error) {
-    console.error('Get members error:', error.message);
+    console.error('Get pricing error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch members',
+      error: 'Failed to fetch pricing',
       details: error.message
     });
   }
 });
 
-// Get all credit balances (admin only)
-app.get('/api/admin/credits', checkAdminToken, async (req, res) => {
+// Add an action type to the pricing catalog (admin only)
+app.post('/api/admin/pricing', checkAdminToken, requireAdminPermission('pricing:manage'), async (req, res) => {
   try {
+    const { action_type, name = null, description = null, credits_cost_free, credits_cost_paid, is_active = true } = req.body;
+
+    const errors = validatePricingInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pricing',
+        message: errors.join('; ')
+      });
+    }
+
     const result = await pool.query(`
-      SELECT 
-        m.name,
-        m.email,
-        m.is_paid,
-        mc.credits_balance,
-        mc.last_refreshed_at
-      FROM member_credits mc
-      JOIN members m ON mc.member_id = m.id
-      ORDER BY mc.credits_balance DESC
-    `);
+      INSERT INTO action_pricing (action_type, name, description, credits_cost_free, credits_cost_paid, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [action_type, name, description, credits_cost_free, credits_cost_paid, is_active]);
 
-    res.json({
+    req.audit.details = { after: result.rows[0] };
+
+    console.log(`Admin ${req.adminUser.email} added pricing for ${action_type}: free=${credits_cost_free}, paid=${credits_cost_paid}`);
+
+    res.status(201).json({
       success: true,
-      credits: result.rows
+      pricing: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Get credits error:', error.message);
+    console.error('Create pricing error:', error.message);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Action type already exists',
+        message: `Pricing for ${req.body.action_type} already exists, update it instead`
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to fetch credit balances',
+      error: 'Failed to create pricing',
       details: error.message
     });
   }
 });
 
-// Get recent actions (admin only)
-app.get('/api/admin/actions', checkAdminToken, async (req, res) => {
+// Update an action type's pricing (admin only)
+app.put('/api/admin/pricing/:action_type', checkAdminToken, requireAdminPermission('pricing:manage'), async (req, res) => {
   try {
-    const { limit = 100 } = req.query;
+    const { action_type } = req.params;
+    const { action_type: _ignored, ...updates } = req.body;
+
+    const errors = validatePricingInput(updates, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pricing',
+        message: errors.join('; ')
+      });
+    }
 
+    // The CTE reads the row as it was before the update, for the audit log
     const result = await pool.query(`
-      SELECT 
-        aa.id,
-        aa.action_type,
-        aa.credits_cost,
-        aa.metadata,
-        aa.success,
-        aa.error_message,
-        aa.created_at,
-        m.name as member_name,
-        m.circle_member_id
-      FROM app_actions aa
-      JOIN members m ON aa.member_id = m.id
-      ORDER BY aa.created_at DESC
-      LIMIT $1
-    `, [parseInt(limit)]);
+      WITH previous AS (
+        SELECT * FROM action_pricing WHERE action_type = $6
+      )
+      UPDATE action_pricing ap
+      SET name = COALESCE($1, ap.name),
+          description = COALESCE($2, ap.description),
+          credits_cost_free = COALESCE($3, ap.credits_cost_free),
+          credits_cost_paid = COALESCE($4, ap.credits_cost_paid),
+          is_active = COALESCE($5, ap.is_active),
+          updated_at = NOW()
+      FROM previous
+      WHERE ap.id = previous.id
+      RETURNING ap.*, row_to_json(previous.*) AS previous
+    `, [
+      updates.name,
+      updates.description,
+      updates.credits_cost_free,
+      updates.credits_cost_paid,
+      updates.is_active,
+      action_type
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Action type not found',
+        message: `No pricing found for ${action_type}`
+      });
+    }
+
+    const { previous, ...pricing } = result.rows[0];
+    req.audit.details = { before: previous, after: pricing };
+
+    console.log(`Admin ${req.adminUser.email} updated pricing for ${action_type}:`, updates);
 
     res.json({
       success: true,
-      actions: result.rows
+      pricing
     });
 
   } catch (error) {
-    console.error('Get actions error:', error.message);
+    console.error('Update pricing error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch actions',
+      error: 'Failed to update pricing',
       details: error.message
     });
   }
 });
 
-// Get credit history (admin only)
-app.get('/api/admin/credit-history', checkAdminToken, async (req, res) => {
+// Remove an action type from the pricing catalog (admin only)
+// Past actions keep their recorded cost; new spends of this type are rejected
+app.delete('/api/admin/pricing/:action_type', checkAdminToken, requireAdminPermission('pricing:manage'), async (req, res) => {
   try {
-    const { limit = 100 } = req.query;
+    const { action_type } = req.params;
 
     const result = await pool.query(`
-      SELECT 
-        ch.change_amount,
-        ch.change_type,
-        ch.balance_after,
-        ch.notes,
-        ch.created_at,
-        ch.member_id,
-        m.name as member_name,
-        m.email as member_email
-      FROM credit_history ch
-      JOIN members m ON ch.member_id = m.id
-      ORDER BY ch.created_at DESC
-      LIMIT $1
-    `, [parseInt(limit)]);
+      DELETE FROM action_pricing WHERE action_type = $1 RETURNING *
+    `, [action_type]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Action type not found',
+        message: `No pricing found for ${action_type}`
+      });
+    }
+
+    req.audit.details = { before: result.rows[0] };
+
+    console.log(`Admin ${req.adminUser.email} deleted pricing for ${action_type}`);
 
     res.json({
       success: true,
-      history: result.rows
+      deleted: action_type
     });
 
   } catch (error) {
-    console.error('Get credit history error:', error.message);
+    console.error('Delete pricing error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch credit history',
+      error: 'Failed to delete pricing',
       details: error.message
     });
   }
 });
 
-// Get database stats (admin only)
-app.get('/api/admin/stats', checkAdminToken, async (req, res) => {
+// List membership plans with their member counts (admin only)
+// Plans are read-only here; they're defined in the plans config file
+app.get('/api/admin/plans', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
   try {
-    const [
-      memberCount,
-      totalCredits,
-      totalActions,
-      recentActions
-    ] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM members'),
-      pool.query('SELECT COALESCE(SUM(credits_balance), 0) as total FROM member_credits'),
-      pool.query('SELECT COUNT(*) as count FROM app_actions'),
-      pool.query('SELECT COUNT(*) as count FROM app_actions WHERE created_at > NOW() - INTERVAL \'24 hours\'')
-    ]);
+    const countsResult = await pool.query(`
+      SELECT plan, COUNT(*)::int AS member_count
+      FROM members
+      GROUP BY plan
+    `);
+    const memberCounts = Object.fromEntries(countsResult.rows.map(row => [row.plan, row.member_count]));
 
     res.json({
       success: true,
-      stats: {
-        total_members: parseInt(memberCount.rows[0].count),
-        total_credits: parseInt(totalCredits.rows[0].total),
-        total_actions: parseInt(totalActions.rows[0].count),
-        actions_24h: parseInt(recentActions.rows[0].count)
-      }
+      source: fs.existsSync(PLANS_CONFIG_PATH) ? PLANS_CONFIG_PATH : 'environment',
+      default_plan: membershipPlans.defaultPlan.key,
+      plans: membershipPlans.plans.map(plan => ({
+        ...plan,
+        member_count: memberCounts[plan.key] || 0
+      }))
     });
 
   } catch (error) {
-    console.error('Get stats error:', error.message);
+    console.error('Get plans error:', error.message);
     res.status(500).json({
-      error: 'Failed to fetch statistics',
+      error: 'Failed to fetch plans',
       details: error.message
     });
   }
 });
 
-// Manual credit refresh endpoint for admins
-app.post('/api/admin/refresh-credits/:circle_member_id', checkAdminToken, async (req, res) => {
+// Get monthly refresh job status and recent runs (admin only)
+app.get('/api/admin/jobs/monthly-refresh', checkAdminToken, requireAdminPermission('members:read'), async (req, res) => {
   try {
-    const { circle_member_id } = req.params;
-    const { bonus_credits = 0, force_refresh = false } = req.body;
-    
-    // Get member from database
-    const memberResult = await pool.query(`
-      SELECT m.id, m.email, m.name, m.is_paid, mc.credits_balance, mc.last_refreshed_at
-      FROM members m
-      LEFT JOIN member_credits mc ON m.id = mc.member_id
-      WHERE m.circle_member_id = $1
-    `, [circle_member_id]);
+    const [runsResult, dueResult] = await Promise.all([
+      pool.query(`
+        SELECT id, status, summary, error_message, started_at, finished_at
+        FROM scheduled_job_runs
+        WHERE job_name = 'monthly_refresh'
+        ORDER BY started_at DESC
+        LIMIT 10
+      `),
+      pool.query(`
+        SELECT COUNT(*) as count FROM member_credits mc
+        WHERE ${MONTHLY_REFRESH_DUE_SQL}
+      `)
+    ]);
 
-    if (memberResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Member not found',
-        message: 'No member found with the specified Circle member ID'
-      });
-    }
+    res.json({
+      success: true,
+      job: {
+        name: 'monthly_refresh',
+        enabled: MONTHLY_REFRESH_ENABLED,
+        interval_minutes: MONTHLY_REFRESH_INTERVAL_MINUTES,
+        members_due: parseInt(dueResult.rows[0].count),
+        last_run: runsResult.rows[0] || null
+      },
+      recent_runs: runsResult.rows
+    });
 
-    const member = memberResult.rows[0];
-    let totalCreditsAdded = 0;
-    let operations = [];
+  } catch (error) {
+    console.error('Get monthly refresh status error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch job status',
+      details: error.message
+    });
+  }
+});
 
-    // Add bonus credits if specified
-    if (bonus_credits > 0) {
-      const newBalance = (member.credits_balance || 0) + bonus_credits;
-      
-      await pool.query(`
-        UPDATE member_credits 
-        SET credits_balance = $1, updated_at = NOW()
-        WHERE member_id = $2
-      `, [newBalance, member.id]);
+// Run the monthly refresh job now (admin only)
+app.post('/api/admin/jobs/monthly-refresh/run', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    console.log(`Admin ${req.adminUser.email} triggered the monthly refresh job`);
 
-      await pool.query(`
-        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        member.id,
-        bonus_credits,
-        'admin_bonus',
-        newBalance,
-        `Manual credit bonus added by admin ${req.adminUser.email}`
-      ]);
+    const summary = await runScheduledJob('monthly_refresh', MONTHLY_REFRESH_LOCK_KEY, refreshMonthlyCredits);
 
-      totalCreditsAdded += bonus_credits;
-      operations.push(`Added ${bonus_credits} bonus credits`);
+    if (!summary) {
+      return res.status(409).json({
+        error: 'Job already running',
+        message: 'The monthly refresh job is already running on another instance'
+      });
     }
 
-    // Force monthly refresh if requested
-    if (force_refresh) {
-      const monthlyCredits = member.is_paid
-        ? parseInt(process.env.MONTHLY_CREDITS_PAID, 10) || 100
-        : parseInt(process.env.MONTHLY_CREDITS_FREE, 10) || 10;
-      
-      const currentBalance = (member.credits_balance || 0) + (bonus_credits || 0);
-      const newBalance = currentBalance + monthlyCredits;
+    res.json({
+      success: true,
+      summary
+    });
 
-      await pool.query(`
-        UPDATE member_credits 
-        SET credits_balance = $1, last_refreshed_at = NOW(), updated_at = NOW()
-        WHERE member_id = $2
-      `, [newBalance, member.id]);
+  } catch (error) {
+    console.error('Run monthly refresh error:', error.message);
+    res.status(500).json({
+      error: 'Failed to run monthly refresh',
+      details: error.message
+    });
+  }
+});
 
-      await pool.query(`
-        INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        member.id,
-        monthlyCredits,
-        'admin_refresh',
-        newBalance,
-        `Manual monthly refresh by admin ${req.adminUser.email}`
-      ]);
+// Refund any credit spend (admin only, no refund window)
+app.post('/api/admin/actions/:action_id/refund', checkAdminToken, requireAdminPermission('credits:adjust'), async (req, res) => {
+  try {
+    const { action_id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
 
-      totalCreditsAdded += monthlyCredits;
-      operations.push(`Added ${monthlyCredits} monthly refresh credits`);
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Provide a reason (up to 500 characters) for admin refunds'
+      });
     }
 
-    // Get updated balance
-    const updatedResult = await pool.query(`
-      SELECT credits_balance FROM member_credits WHERE member_id = $1
-    `, [member.id]);
-
-    const finalBalance = updatedResult.rows[0]?.credits_balance || 0;
+    const refund = await refundAction(action_id, {
+      reason,
+      refundedBy: `admin ${req.adminUser.email}`
+    });
 
-    console.log(`Admin ${req.adminUser.email} performed credit operations for ${member.email}: ${operations.join(', ')}`);
+    const actionResult = await pool.query('SELECT member_id FROM app_actions WHERE id = $1', [refund.action_id]);
+    req.audit.target_member_id = actionResult.rows[0].member_id;
+    req.audit.balance_before = refund.credits_remaining - refund.credits_refunded;
+    req.audit.balance_after = refund.credits_remaining;
 
     res.json({
       success: true,
-      member: {
-        circle_member_id,
-        email: member.email,
-        name: member.name,
-        is_paid: member.is_paid
-      },
-      credits: {
-        previous_balance: member.credits_balance || 0,
-        credits_added: totalCreditsAdded,
-        current_balance: finalBalance
-      },
-      operations,
+      ...refund,
       admin_user: req.adminUser.email
     });
 
   } catch (error) {
-    console.error('Manual credit refresh error:', error.message);
-    res.status(500).json({
-      error: 'Failed to refresh credits',
-      details: error.message
+    console.error('Admin refund error:', error.message);
+
+    const statusCode = refundErrorStatus(error);
+
+    res.status(statusCode).json({
+      error: 'Failed to refund credits',
+      message: error.code === '23505' ? 'Action already refunded' : error.message,
+      details: statusCode === 500 ? error.message : undefined
     });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://0.0.0.0:${PORT}`);
-});
\ No newline at end of file
+// Apply pending database migrations before accepting requests when AUTO_MIGRATE=true
+async function startServer() {
+  if (process.env.DATABASE_URL && process.env.AUTO_MIGRATE === 'true') {
+    await migrateUp(pool);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://0.0.0.0:${PORT}`);
+  });
+}
+
+startServer().catch(error => {
+  console.error('Failed to start server:', error.message);
+  process.exit(1);
+});
+
+// Periodically expire credit holds that were never captured or released
+if (process.env.DATABASE_URL) {
+  setInterval(() => {
+    expireCreditHolds().catch(error => {
+      console.error('Credit hold expiry error:', error.message);
+    });
+  }, 60 * 1000);
+
+  // Monthly credit refresh on each member's anniversary
+  if (MONTHLY_REFRESH_ENABLED) {
+    const runMonthlyRefresh = () => {
+      runScheduledJob('monthly_refresh', MONTHLY_REFRESH_LOCK_KEY, refreshMonthlyCredits).catch(error => {
+        console.error('Monthly refresh job error:', error.message);
+      });
+    };
+
+    setTimeout(runMonthlyRefresh, 30 * 1000);
+    setInterval(runMonthlyRefresh, MONTHLY_REFRESH_INTERVAL_MINUTES * 60 * 1000);
+  }
+
+  // Expire grant buckets past their expiry date
+  setInterval(() => {
+    runScheduledJob('credit_expiry', CREDIT_EXPIRY_LOCK_KEY, expireCreditGrants).catch(error => {
+      console.error('Credit expiry job error:', error.message);
+    });
+  }, CREDIT_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+
+  // Report balances that have drifted from their ledger
+  setInterval(() => {
+    runScheduledJob('ledger_check', LEDGER_CHECK_LOCK_KEY, checkLedgerIntegrity).catch(error => {
+      console.error('Ledger check job error:', error.message);
+    });
+  }, LEDGER_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+  // Finish bulk grants and reversals interrupted by a restart
+  setTimeout(() => {
+    resumeBulkGrantBatches().catch(error => {
+      console.error('Bulk grant resume error:', error.message);
+    });
+  }, 10 * 1000);
+
+  // Hourly cleanup of idempotency keys past their retention window
+  setInterval(() => {
+    cleanupIdempotencyKeys().catch(error => {
+      console.error('Idempotency key cleanup error:', error.message);
+    });
+  }, 60 * 60 * 1000);
+
+  // Hourly cleanup of old admin sessions
+  setInterval(() => {
+    cleanupAdminSessions().catch(error => {
+      console.error('Admin session cleanup error:', error.message);
+    });
+  }, 60 * 60 * 1000);
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestApp } = require('./helpers');
+
+// Mock Circle members (see mock/circle-mock-server.js)
+const ADMIN = 1001;
+const MODERATOR = 1002;
+const FREE_MEMBER = 1004;
+
+// The moderator gets MODERATOR_DEFAULT_ROLE (support)
+const SUPPORT_PERMISSIONS = ['members:read', 'history:read'];
+
+// Every checkAdminToken-protected route, in the order the owner calls them,
+// with the permission it requires and the status the owner should get
+const ADMIN_ROUTES = [
+  { method: 'POST', path: '/api/admin/session', status: 200 },
+  { method: 'GET', path: '/api/admin/me', status: 200 },
+  { method: 'GET', path: '/api/admin/roles', permission: 'admin:manage', status: 200 },
+  { method: 'PUT', path: `/api/admin/roles/${MODERATOR}`, permission: 'admin:manage', body: { role: 'support' }, status: 200 },
+  { method: 'GET', path: '/api/admin/sessions', permission: 'admin:manage', status: 200 },
+  { method: 'DELETE', path: '/api/admin/sessions/999999', permission: 'admin:manage', status: 404 },
+  { method: 'GET', path: '/api/admin/members', permission: 'members:read', status: 200 },
+  { method: 'GET', path: `/api/admin/members/${FREE_MEMBER}`, permission: 'members:read', status: 200 },
+  { method: 'GET', path: '/api/admin/credits', permission: 'members:read', status: 200 },
+  { method: 'GET', path: '/api/admin/actions', permission: 'history:read', status: 200 },
+  { method: 'GET', path: '/api/admin/credit-history', permission: 'history:read', status: 200 },
+  { method: 'GET', path: '/api/admin/export/members', permission: 'data:export', status: 200 },
+  { method: 'GET', path: '/api/admin/tier-changes', permission: 'members:read', status: 200 },
+  { method: 'GET', path: '/api/admin/audit-log', permission: 'admin:manage', status: 200 },
+  { method: 'GET', path: '/api/admin/stats', permission: 'members:read', status: 200 },
+  { method: 'GET', path: '/api/admin/analytics', permission: 'members:read', status: 200 },
+  { method: 'POST', path: `/api/admin/refresh-credits/${FREE_MEMBER}`, permission: 'credits:adjust', body: {}, status: 200 },
+  { method: 'POST', path: `/api/admin/adjust-credits/${FREE_MEMBER}`, permission: 'credits:adjust', body: { amount: 5, reason: 'Test adjustment' }, status: 200 },
+  { method: 'GET', path: '/api/admin/reconciliation', permission: 'history:read', status: 200 },
+  { method: 'POST', path: '/api/admin/reconciliation', permission: 'credits:adjust', body: { reason: 'Test reconciliation' }, status: 200 },
+  { method: 'POST', path: '/api/admin/bulk-grants', permission: 'credits:adjust', body: { amount: 5, reason: 'Test grant', segment: { plan: 'free' }, dry_run: true }, status: 200 },
+  { method: 'GET', path: '/api/admin/bulk-grants', permission: 'history:read', status: 200 },
+  { method: 'GET', path: '/api/admin/bulk-grants/999999', permission: 'history:read', status: 404 },
+  { method: 'POST', path: '/api/admin/bulk-grants/999999/reverse', permission: 'credits:adjust', body: { reason: 'Test reversal' }, status: 404 },
+  { method: 'POST', path: '/api/admin/imports', permission: 'credits:adjust', body: { csv: 'email,credits\nimported@example.com,5\n', dry_run: true }, status: 200 },
+  { method: 'GET', path: '/api/admin/imports', permission: 'history:read', status: 200 },
+  { method: 'GET', path: '/api/admin/imports/999999', permission: 'history:read', status: 404 },
+  { method: 'GET', path: '/api/admin/pricing', permission: 'members:read', status: 200 },
+  { method: 'POST', path: '/api/admin/pricing', permission: 'pricing:manage', body: { action_type: 'route_test', credits_cost_free: 2, credits_cost_paid: 1 }, status: 201 },
+  { method: 'PUT', path: '/api/admin/pricing/route_test', permission: 'pricing:manage', body: { credits_cost_free: 3 }, status: 200 },
+  { method: 'DELETE', path: '/api/admin/pricing/route_test', permission: 'pricing:manage', status: 200 },
+  { method: 'GET', path: '/api/admin/plans', permission: 'members:read', status: 200 },
+  { method: 'GET', path: '/api/admin/jobs/monthly-refresh', permission: 'members:read', status: 200 },
+  { method: 'POST', path: '/api/admin/jobs/monthly-refresh/run', permission: 'credits:adjust', status: 200 },
+  { method: 'POST', path: '/api/admin/actions/999999/refund', permission: 'credits:adjust', body: { reason: 'Test refund' }, status: 404 },
+  // Signing out is covered by its own test below, since it ends the session
+  { method: 'POST', path: '/api/admin/logout', status: null }
+];
+
+describe('admin routes', { skip: skipWithoutDatabase }, () => {
+  let app;
+  let ownerToken;
+  let supportToken;
+
+  before(async () => {
+    app = await startTestApp();
+
+    await app.signIn(FREE_MEMBER);
+    ownerToken = await app.adminToken(ADMIN);
+    supportToken = await app.adminToken(MODERATOR);
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+  });
+
+  function call(route, token) {
+    return app.request(route.method, route.path, { token, body: route.body });
+  }
+
+  it('only issues admin sessions to Circle admins and moderators', async () => {
+    const { session_token } = await app.signIn(FREE_MEMBER);
+    const response = await app.request('POST', '/api/admin/generate-token', { token: session_token });
+
+    assert.equal(response.status, 403);
+
+    const anonymous = await app.request('POST', '/api/admin/generate-token', { body: {} });
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('rejects every admin route without a valid admin session', async () => {
+    for (const route of ADMIN_ROUTES) {
+      const missing = await call(route);
+      assert.equal(missing.status, 401, `${route.method} ${route.path} without a token`);
+
+      const invalid = await call(route, 'not-a-session');
+      assert.equal(invalid.status, 401, `${route.method} ${route.path} with an invalid token`);
+    }
+  });
+
+  it('rejects member app sessions on admin routes', async () => {
+    const { session_token } = await app.signIn(FREE_MEMBER);
+
+    for (const route of ADMIN_ROUTES) {
+      const response = await call(route, session_token);
+      assert.equal(response.status, 401, `${route.method} ${route.path} with a member session`);
+    }
+  });
+
+  it('limits the support role to the permissions it holds', async () => {
+    for (const route of ADMIN_ROUTES.filter(candidate => candidate.status !== null)) {
+      const response = await call(route, supportToken);
+      const expected = route.permission && !SUPPORT_PERMISSIONS.includes(route.permission) ? 403 : route.status;
+
+      assert.equal(response.status, expected, `${route.method} ${route.path} as support: ${response.text}`);
+    }
+  });
+
+  it('serves every admin route to the owner role', async () => {
+    for (const route of ADMIN_ROUTES.filter(candidate => candidate.status !== null)) {
+      const response = await call(route, ownerToken);
+
+      assert.equal(response.status, route.status, `${route.method} ${route.path} as owner: ${response.text}`);
+    }
+  });
+
+  it('only assigns the defined roles', async () => {
+    for (const role of ['constructor', '__proto__', 'toString', ['owner']]) {
+      const response = await app.request('PUT', `/api/admin/roles/${MODERATOR}`, { token: ownerToken, body: { role } });
+      assert.equal(response.status, 400, JSON.stringify(role));
+    }
+
+    const me = await app.request('GET', '/api/admin/me', { token: supportToken });
+    assert.deepEqual(me.body.admin.permissions, SUPPORT_PERMISSIONS);
+  });
+
+  it('accepts the admin session cookie in place of the Authorization header', async () => {
+    const exchange = await app.request('POST', '/api/admin/session', { token: ownerToken });
+    const cookie = exchange.headers.get('set-cookie').split(';')[0];
+
+    const response = await app.request('GET', '/api/admin/me', { headers: { Cookie: cookie } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.admin.role, 'owner');
+  });
+
+  it('filters the member and balance lists by date and rejects invalid dates', async () => {
+    for (const path of ['/api/admin/members', '/api/admin/credits']) {
+      const invalid = await app.request('GET', `${path}?from=not-a-date`, { token: ownerToken });
+      assert.equal(invalid.status, 400, path);
+
+      const future = await app.request('GET', `${path}?from=2999-01-01`, { token: ownerToken });
+      assert.equal(future.status, 200, path);
+      assert.equal(future.body.pagination.total, 0, path);
+
+      const today = new Date().toISOString().slice(0, 10);
+      const current = await app.request('GET', `${path}?from=${today}&to=${today}`, { token: ownerToken });
+      assert.ok(current.body.pagination.total > 0, path);
+    }
+
+    const firstSeen = await app.request('GET', '/api/admin/members?date_field=first_seen_at&to=2000-01-01', { token: ownerToken });
+    assert.equal(firstSeen.body.pagination.total, 0);
+
+    const badField = await app.request('GET', '/api/admin/members?date_field=email', { token: ownerToken });
+    assert.equal(badField.status, 400);
+  });
+
+  it('rejects member IDs that are not numbers', async () => {
+    for (const id of ['abc', '12abc', '99999999999999999999']) {
+      const response = await app.request('GET', `/api/admin/members/${id}`, { token: ownerToken });
+      assert.equal(response.status, 400, id);
+    }
+
+    const unknown = await app.request('GET', '/api/admin/members/424242', { token: ownerToken });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('reports list totals on a page past the end', async () => {
+    for (const path of ['/api/admin/members', '/api/admin/credits', '/api/admin/actions', '/api/admin/credit-history']) {
+      const first = await app.request('GET', `${path}?page_size=1`, { token: ownerToken });
+      const pastEnd = await app.request('GET', `${path}?page_size=1&page=1000`, { token: ownerToken });
+
+      assert.equal(pastEnd.status, 200, path);
+      assert.equal(pastEnd.body.pagination.total, first.body.pagination.total, path);
+      assert.equal(pastEnd.body.pagination.total_pages, first.body.pagination.total_pages, path);
+    }
+
+    const balances = await app.request('GET', '/api/admin/credits?page_size=1&page=1000', { token: ownerToken });
+    assert.ok(balances.body.pagination.total > 0);
+    assert.ok(balances.body.total_credits > 0);
+  });
+
+  it('matches % and _ in searches literally', async () => {
+    const wildcard = await app.request('GET', '/api/admin/members?q=%25', { token: ownerToken });
+    assert.equal(wildcard.body.pagination.total, 0);
+
+    const underscore = await app.request('GET', '/api/admin/credits?q=_', { token: ownerToken });
+    assert.equal(underscore.body.pagination.total, 0);
+  });
+
+  it('records admin changes in the audit log', async () => {
+    const response = await app.request('POST', `/api/admin/adjust-credits/${FREE_MEMBER}`, {
+      token: ownerToken,
+      body: { amount: -2, reason: 'Audit check' }
+    });
+    assert.equal(response.status, 200);
+
+    // Audit rows are written once the response has finished, so allow them a moment to land
+    let entry;
+    for (let attempt = 0; attempt < 20 && !entry; attempt++) {
+      const audit = await app.request('GET', '/api/admin/audit-log?action=adjust-credits', { token: ownerToken });
+      entry = audit.body.entries.find(candidate => candidate.request_payload?.reason === 'Audit check');
+      if (!entry) await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    assert.ok(entry, 'adjustment was audited');
+    assert.equal(entry.admin_email, 'admin@example.com');
+    assert.equal(entry.response_status, 200);
+    assert.equal(entry.balance_after, entry.balance_before - 2);
+  });
+
+  it('queues one pending grant per email when imports run at the same time', async () => {
+    const body = { csv: 'email,credits\nracing@example.com,25\n', dry_run: false };
+    const responses = await Promise.all(Array.from({ length: 3 }, () =>
+      app.request('POST', '/api/admin/imports', { token: ownerToken, body })
+    ));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400, 400]);
+    for (const response of responses.filter(candidate => candidate.status === 400)) {
+      assert.equal(response.body.errors[0].line, 2);
+      assert.match(response.body.errors[0].message, /Already has a pending grant/);
+    }
+
+    const pending = await app.db.query(`SELECT COUNT(*)::int AS count FROM pending_grants WHERE email = 'racing@example.com'`);
+    assert.equal(pending.rows[0].count, 1);
+  });
+
+  it('does not log requests without an admin session', async () => {
+    const payload = '<img src=x onerror=alert(1)>';
+    await app.request('POST', '/api/admin/no-such-route', { body: { payload } });
+    await app.request('POST', `/api/admin/adjust-credits/${FREE_MEMBER}`, { token: 'not-a-session', body: { amount: 1, reason: payload } });
+
+    // Give any audit write a moment to land before checking it didn't
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const audit = await app.db.query(`SELECT COUNT(*)::int AS count FROM admin_audit_log WHERE request_payload::text LIKE '%onerror%'`);
+    assert.equal(audit.rows[0].count, 0);
+  });
+
+  it('ends the session on logout', async () => {
+    const token = await app.adminToken(ADMIN);
+
+    const response = await app.request('POST', '/api/admin/logout', { token });
+    assert.equal(response.status, 200);
+
+    const after = await app.request('GET', '/api/admin/me', { token });
+    assert.equal(after.status, 401);
+  });
+
+  it('signs out sessions revoked by another admin', async () => {
+    const token = await app.adminToken(MODERATOR);
+    const sessions = await app.request('GET', '/api/admin/sessions', { token: ownerToken });
+    const session = sessions.body.sessions
+      .filter(candidate => candidate.email === 'moderator@example.com')
+      .sort((a, b) => b.id - a.id)[0];
+
+    const revoke = await app.request('DELETE', `/api/admin/sessions/${session.id}`, { token: ownerToken });
+    assert.equal(revoke.status, 200);
+
+    const after = await app.request('GET', '/api/admin/me', { token });
+    assert.equal(after.status, 401);
+  });
+});
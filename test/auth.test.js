@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestApp } = require('./helpers');
+
+// Mock Circle members (see mock/circle-mock-server.js)
+const PRO_MEMBER = 1003;
+const FREE_MEMBER = 1004;
+const BUYER = 1005;
+
+describe('member sign in', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+  });
+
+  async function history(circleMemberId) {
+    const result = await app.db.query(`
+      SELECT ch.change_type, ch.change_amount, ch.balance_after
+      FROM credit_history ch
+      JOIN members m ON m.id = ch.member_id
+      WHERE m.circle_member_id = $1
+      ORDER BY ch.id
+    `, [circleMemberId]);
+    return result.rows;
+  }
+
+  it('grants a new free member the free plan\'s initial credits', async () => {
+    const auth = await app.signIn(FREE_MEMBER);
+
+    assert.equal(auth.success, true);
+    assert.ok(auth.session_token);
+    assert.equal(auth.member.plan, 'free');
+    assert.equal(auth.member.is_new_user, true);
+    assert.equal(auth.member.credits_balance, 10);
+    assert.deepEqual(await history(FREE_MEMBER), [
+      { change_type: 'initial_grant', change_amount: 10, balance_after: 10 }
+    ]);
+  });
+
+  it('grants a new paid member the paid plan\'s initial credits', async () => {
+    const auth = await app.signIn(PRO_MEMBER);
+
+    assert.equal(auth.member.plan, 'pro');
+    assert.equal(auth.member.is_paid, true);
+    assert.equal(auth.member.credits_balance, 100);
+  });
+
+  it('does not grant initial credits again on later sign ins', async () => {
+    const auth = await app.signIn(FREE_MEMBER);
+
+    assert.equal(auth.member.credits_balance, 10);
+    assert.equal((await history(FREE_MEMBER)).length, 1);
+  });
+
+  it('grants the upgrade bonus once when a member moves up a plan', async () => {
+    await app.tagMember('free@example.com', 'Pro');
+    const upgraded = await app.signIn(FREE_MEMBER);
+
+    assert.equal(upgraded.member.plan, 'pro');
+    assert.equal(upgraded.member.credits_balance, 100);
+    assert.deepEqual(upgraded.member.plan_change, { direction: 'upgrade', policy: null, credits_change: 90 });
+
+    // Downgrading keeps the balance (DOWNGRADE_POLICY=keep) and upgrading again pays no second bonus
+    await app.untagMember('free@example.com', 'Pro');
+    const downgraded = await app.signIn(FREE_MEMBER);
+    assert.equal(downgraded.member.plan, 'free');
+    assert.equal(downgraded.member.credits_balance, 100);
+
+    await app.tagMember('free@example.com', 'Pro');
+    const reupgraded = await app.signIn(FREE_MEMBER);
+    assert.equal(reupgraded.member.credits_balance, 100);
+    assert.equal(reupgraded.member.plan_change.credits_change, 0);
+
+    const tierChanges = await app.db.query(`
+      SELECT tc.from_plan, tc.to_plan, tc.direction, tc.credits_change
+      FROM tier_changes tc
+      JOIN members m ON m.id = tc.member_id
+      WHERE m.circle_member_id = $1
+      ORDER BY tc.id
+    `, [FREE_MEMBER]);
+    assert.deepEqual(tierChanges.rows, [
+      { from_plan: 'free', to_plan: 'pro', direction: 'upgrade', credits_change: 90 },
+      { from_plan: 'pro', to_plan: 'free', direction: 'downgrade', credits_change: 0 },
+      { from_plan: 'free', to_plan: 'pro', direction: 'upgrade', credits_change: 0 }
+    ]);
+  });
+
+  it('turns purchase tags into credits and removes them from Circle', async () => {
+    const auth = await app.signIn(BUYER);
+
+    assert.equal(auth.member.credits_balance, 60);
+    assert.deepEqual(auth.member.processed_purchase_tags, ['$50']);
+    assert.deepEqual(
+      (await history(BUYER)).map(row => [row.change_type, row.change_amount]),
+      [['initial_grant', 10], ['purchase', 50]]
+    );
+
+    const state = await app.circleState();
+    const buyer = state.members.find(member => member.id === BUYER);
+    assert.deepEqual(buyer.member_tags, []);
+
+    // The tag is gone, so signing in again grants nothing
+    const again = await app.signIn(BUYER);
+    assert.equal(again.member.credits_balance, 60);
+  });
+
+  it('grants a purchase tag again each time it is bought', async () => {
+    await app.tagMember('buyer@example.com', '$10');
+    const auth = await app.signIn(BUYER);
+
+    assert.equal(auth.member.credits_balance, 70);
+
+    const purchases = await app.db.query(`
+      SELECT tag_value, credits_granted FROM processed_purchase_tags ORDER BY id
+    `);
+    assert.deepEqual(purchases.rows, [
+      { tag_value: '$50', credits_granted: 50 },
+      { tag_value: '$10', credits_granted: 10 }
+    ]);
+  });
+
+  it('rejects members Circle does not know', async () => {
+    const response = await app.request('POST', '/api/auth', { body: { community_member_id: '999999' } });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Authentication failed');
+    assert.equal(response.body.debug_info.error_code, 'http_error');
+  });
+
+  it('exchanges a Circle access token for session cookies', async () => {
+    const auth = await app.signIn(PRO_MEMBER);
+
+    const response = await app.request('POST', '/api/auth/cookies', { body: { access_token: auth.access_token } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+
+    const invalid = await app.request('POST', '/api/auth/cookies', { body: { access_token: 'not-a-token' } });
+    assert.equal(invalid.status, 401);
+
+    const missing = await app.request('POST', '/api/auth/cookies', { body: {} });
+    assert.equal(missing.status, 400);
+  });
+});
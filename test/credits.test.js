@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestApp } = require('./helpers');
+
+// Mock Circle members (see mock/circle-mock-server.js)
+const ADMIN = 1001;
+const PRO_MEMBER = 1003;
+const FREE_MEMBER = 1004;
+const BUYER = 1005;
+
+describe('credit spending', { skip: skipWithoutDatabase }, () => {
+  let app;
+  const sessions = {};
+
+  before(async () => {
+    app = await startTestApp();
+
+    await app.db.query(`
+      INSERT INTO action_pricing (action_type, name, credits_cost_free, credits_cost_paid)
+      VALUES ('generate', 'Generate', 3, 1), ('render', 'Render', 7, 7), ('export_video', 'Export video', 50, 50)
+    `);
+
+    for (const circleMemberId of [PRO_MEMBER, FREE_MEMBER, BUYER]) {
+      sessions[circleMemberId] = (await app.signIn(circleMemberId)).session_token;
+    }
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+  });
+
+  function spend(circleMemberId, actionType, headers = {}) {
+    return app.request('POST', '/api/credits/spend', {
+      token: sessions[circleMemberId],
+      body: { action_type: actionType },
+      headers
+    });
+  }
+
+  it('requires an app session', async () => {
+    const missing = await app.request('POST', '/api/credits/spend', { body: { action_type: 'generate' } });
+    assert.equal(missing.status, 401);
+
+    const invalid = await app.request('POST', '/api/credits/spend', { token: 'forged', body: { action_type: 'generate' } });
+    assert.equal(invalid.status, 401);
+  });
+
+  it('charges the member\'s plan price', async () => {
+    const free = await spend(FREE_MEMBER, 'generate');
+    assert.equal(free.status, 200);
+    assert.equal(free.body.credits_spent, 3);
+    assert.equal(free.body.credits_remaining, 7);
+
+    const pro = await spend(PRO_MEMBER, 'generate');
+    assert.equal(pro.status, 200);
+    assert.equal(pro.body.credits_spent, 1);
+    assert.equal(pro.body.credits_remaining, 99);
+  });
+
+  it('rejects unknown action types', async () => {
+    const response = await spend(FREE_MEMBER, 'teleport');
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /Unknown action type/);
+  });
+
+  it('returns 402 when the member cannot afford the action', async () => {
+    const response = await spend(FREE_MEMBER, 'export_video');
+
+    assert.equal(response.status, 402);
+    assert.equal(response.body.message, 'Insufficient credits');
+    assert.equal(await app.balance(FREE_MEMBER), 7);
+
+    const actions = await app.db.query(`SELECT COUNT(*)::int AS count FROM app_actions WHERE action_type = 'export_video'`);
+    assert.equal(actions.rows[0].count, 0);
+  });
+
+  it('replays a spend sent again with the same Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'spend-once' };
+    const first = await spend(PRO_MEMBER, 'generate', headers);
+    const second = await spend(PRO_MEMBER, 'generate', headers);
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.equal(second.body.action_id, first.body.action_id);
+    assert.equal(await app.balance(PRO_MEMBER), 98);
+  });
+
+  it('never overspends when spends arrive concurrently', async () => {
+    // The buyer starts with 10 initial credits plus a $50 purchase tag
+    assert.equal(await app.balance(BUYER), 60);
+
+    const responses = await Promise.all(Array.from({ length: 12 }, () => spend(BUYER, 'render')));
+    const statuses = responses.map(response => response.status);
+
+    assert.equal(statuses.filter(status => status === 200).length, 8);
+    assert.equal(statuses.filter(status => status === 402).length, 4);
+    assert.equal(await app.balance(BUYER), 4);
+
+    const remaining = responses.filter(response => response.status === 200).map(response => response.body.credits_remaining);
+    assert.deepEqual([...remaining].sort((a, b) => a - b), [4, 11, 18, 25, 32, 39, 46, 53]);
+  });
+
+  it('refreshes monthly credits on the member\'s anniversary', async () => {
+    const adminToken = await app.adminToken(ADMIN);
+    const before = await app.balance(PRO_MEMBER);
+
+    await app.db.query(`
+      UPDATE member_credits
+      SET last_refreshed_at = NOW() - INTERVAL '1 month 1 day'
+      WHERE member_id = (SELECT id FROM members WHERE circle_member_id = $1)
+    `, [PRO_MEMBER]);
+
+    const response = await app.request('POST', '/api/admin/jobs/monthly-refresh/run', { token: adminToken });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { members_refreshed: 1, credits_granted: 50, credits_forfeited: 0 });
+    assert.equal(await app.balance(PRO_MEMBER), before + 50);
+
+    // The anniversary moves forward a month, so running again grants nothing
+    const again = await app.request('POST', '/api/admin/jobs/monthly-refresh/run', { token: adminToken });
+    assert.equal(again.body.summary.members_refreshed, 0);
+    assert.equal(await app.balance(PRO_MEMBER), before + 50);
+  });
+
+  it('keeps a 31st refresh day after shorter months', async () => {
+    // Anniversaries of a Jan 31 schedule, at pinned times
+    const anniversaries = await app.db.query(`
+      SELECT as_of::text, monthly_refresh_anniversary('2025-01-31 12:00Z', as_of) AS anniversary
+      FROM UNNEST($1::timestamptz[]) AS as_of
+    `, [['2025-02-27 12:00Z', '2025-02-28 12:00Z', '2025-03-29 12:00Z', '2025-03-31 12:00Z', '2025-04-30 12:00Z']]);
+
+    assert.deepEqual(anniversaries.rows.map(row => row.anniversary.toISOString()), [
+      '2025-01-31T12:00:00.000Z',
+      '2025-02-28T12:00:00.000Z',
+      '2025-02-28T12:00:00.000Z',
+      '2025-03-31T12:00:00.000Z',
+      '2025-04-30T12:00:00.000Z'
+    ]);
+  });
+
+  it('refreshes a member who missed several months once, on their latest anniversary', async () => {
+    const adminToken = await app.adminToken(ADMIN);
+
+    // Pin the schedule to the database clock: started three months ago, refreshed once a month later
+    const pinned = await app.db.query(`
+      UPDATE member_credits
+      SET refresh_anchor_at = NOW() - INTERVAL '3 months', last_refreshed_at = NOW() - INTERVAL '3 months' + INTERVAL '1 month'
+      WHERE member_id = (SELECT id FROM members WHERE circle_member_id = $1)
+      RETURNING refresh_anchor_at, (refresh_anchor_at + INTERVAL '3 months') AS anniversary
+    `, [FREE_MEMBER]);
+    const { refresh_anchor_at: anchor, anniversary } = pinned.rows[0];
+    const before = await app.balance(FREE_MEMBER);
+
+    const response = await app.request('POST', '/api/admin/jobs/monthly-refresh/run', { token: adminToken });
+    assert.equal(response.body.summary.members_refreshed, 1);
+    const after = await app.balance(FREE_MEMBER);
+    assert.equal(after, before + response.body.summary.credits_granted);
+
+    // Still inside the same anniversary window, so running again grants nothing
+    const again = await app.request('POST', '/api/admin/jobs/monthly-refresh/run', { token: adminToken });
+    assert.equal(again.body.summary.members_refreshed, 0);
+    assert.equal(await app.balance(FREE_MEMBER), after);
+
+    const credits = await app.db.query(`
+      SELECT last_refreshed_at, refresh_anchor_at FROM member_credits
+      WHERE member_id = (SELECT id FROM members WHERE circle_member_id = $1)
+    `, [FREE_MEMBER]);
+    assert.equal(credits.rows[0].last_refreshed_at.getTime(), anniversary.getTime());
+    assert.equal(credits.rows[0].refresh_anchor_at.getTime(), anchor.getTime());
+  });
+
+  it('accepts only a short text reason for a member refund', async () => {
+    const spent = await spend(PRO_MEMBER, 'generate');
+    const before = await app.balance(PRO_MEMBER);
+    const refund = body => app.request('POST', '/api/credits/refund', {
+      token: sessions[PRO_MEMBER],
+      body: { action_id: spent.body.action_id, ...body }
+    });
+
+    assert.equal((await refund({ reason: { html: '<script>' } })).status, 400);
+    assert.equal((await refund({ reason: 'x'.repeat(501) })).status, 400);
+    assert.equal(await app.balance(PRO_MEMBER), before);
+
+    const response = await refund({ reason: '  Render failed  ' });
+    assert.equal(response.status, 200);
+    assert.equal(await app.balance(PRO_MEMBER), before + 1);
+
+    const action = await app.db.query('SELECT error_message FROM app_actions WHERE id = $1', [spent.body.action_id]);
+    assert.equal(action.rows[0].error_message, 'Render failed');
+  });
+});
@@ -0,0 +1,233 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const { Pool } = require('pg');
+const { migrateUp } = require('../lib/migrations');
+const { createCircleMockApp } = require('../mock/circle-mock-server');
+
+// Integration test harness
+// Each test file boots server.js in a child process against its own throwaway Postgres schema
+// (migrated from database/migrations and dropped afterwards) and an in-process mock Circle server.
+// Set TEST_DATABASE_URL to a database the tests may create schemas in; without it the suites are skipped.
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const ROOT_DIR = path.join(__dirname, '..');
+const SERVER_START_TIMEOUT_MS = 15000;
+
+const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+// Point a connection string at a schema by setting the connection's search_path
+function withSearchPath(connectionString, schema) {
+  const url = new URL(connectionString);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  return url.toString();
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function createTestSchema() {
+  const schema = `circle_test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  const admin = new Pool({ connectionString: TEST_DATABASE_URL, max: 1 });
+
+  try {
+    await admin.query(`CREATE SCHEMA ${schema}`);
+  } finally {
+    await admin.end();
+  }
+
+  const db = new Pool({ connectionString: withSearchPath(TEST_DATABASE_URL, schema) });
+  await migrateUp(db, { log: () => {} });
+
+  return { schema, db };
+}
+
+async function waitForServer(baseUrl, child, logs) {
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited with code ${child.exitCode}:\n${logs.join('')}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/config`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`server.js did not start within ${SERVER_START_TIMEOUT_MS}ms:\n${logs.join('')}`);
+}
+
+// Boot the mock Circle server, a fresh schema and server.js
+// env overrides are passed to server.js on top of the test defaults
+async function startTestApp({ env = {} } = {}) {
+  const mock = createCircleMockApp({ quiet: true }).listen(0);
+  await new Promise(resolve => mock.once('listening', resolve));
+  const mockUrl = `http://127.0.0.1:${mock.address().port}`;
+
+  const { schema, db } = await createTestSchema();
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const logs = [];
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATABASE_URL: withSearchPath(TEST_DATABASE_URL, schema),
+      SESSION_SECRET: crypto.randomBytes(32).toString('hex'),
+      PLANS_CONFIG_PATH: path.join(__dirname, 'fixtures', 'plans.json'),
+      CIRCLE_API_BASE_URL: mockUrl,
+      CIRCLE_ADMIN_API_BASE_URL: mockUrl,
+      CIRCLE_COOKIES_BASE_URL: mockUrl,
+      CIRCLE_API_TOKEN: 'mock-headless-token',
+      CIRCLE_ADMIN_API_TOKEN: 'mock-admin-token',
+      REQUIRE_IFRAME: 'false',
+      DISABLE_EMAIL_ONLY_AUTH: 'false',
+      MONTHLY_REFRESH_ENABLED: 'false',
+      MONTHLY_ROLLOVER_CAP: '',
+      DOWNGRADE_POLICY: 'keep',
+      CREDIT_EXPIRY_DAYS_INITIAL: '',
+      CREDIT_EXPIRY_DAYS_MONTHLY: '',
+      CREDIT_EXPIRY_DAYS_PURCHASE: '',
+      CREDIT_EXPIRY_DAYS_ADMIN_BONUS: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  for (const stream of [child.stdout, child.stderr]) {
+    stream.on('data', chunk => {
+      logs.push(chunk.toString());
+      if (process.env.TEST_SERVER_LOGS === 'true') process.stderr.write(chunk);
+    });
+  }
+
+  const app = {
+    baseUrl,
+    mockUrl,
+    db,
+
+    async request(method, urlPath, { body, token, headers = {} } = {}) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch (error) {
+        json = null;
+      }
+      return { status: response.status, headers: response.headers, body: json, text };
+    },
+
+    // Sign in through /api/auth as a mock Circle member; returns the auth response body
+    async signIn(circleMemberId) {
+      const response = await app.request('POST', '/api/auth', {
+        body: { community_member_id: String(circleMemberId) }
+      });
+      if (response.status !== 200) {
+        throw new Error(`Sign in as ${circleMemberId} failed with ${response.status}: ${response.text}`);
+      }
+      return response.body;
+    },
+
+    // Sign in and exchange the app session for an admin session token
+    async adminToken(circleMemberId) {
+      const { session_token } = await app.signIn(circleMemberId);
+      const response = await app.request('POST', '/api/admin/generate-token', { token: session_token });
+      if (response.status !== 200) {
+        throw new Error(`Admin token for ${circleMemberId} failed with ${response.status}: ${response.text}`);
+      }
+      return response.body.token;
+    },
+
+    // Call the mock Circle server's Admin API
+    async circleAdmin(method, urlPath, body) {
+      const response = await fetch(`${mockUrl}${urlPath}`, {
+        method,
+        headers: { 'Authorization': 'Bearer mock-admin-token', 'Content-Type': 'application/json' },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    async tagMember(email, tagName) {
+      const { body } = await app.circleAdmin('GET', '/api/admin/v2/member_tags');
+      const tag = body.records.find(record => record.name === tagName);
+      return app.circleAdmin('POST', '/api/admin/v2/tagged_members', { email, member_tag_id: tag.id });
+    },
+
+    async untagMember(email, tagName) {
+      const { body } = await app.circleAdmin('GET', '/api/admin/v2/member_tags');
+      const tag = body.records.find(record => record.name === tagName);
+      const params = new URLSearchParams({ user_email: email, member_tag_id: tag.id });
+      return app.circleAdmin('DELETE', `/api/admin/v2/tagged_members?${params}`);
+    },
+
+    async circleState() {
+      const response = await fetch(`${mockUrl}/mock/state`);
+      return response.json();
+    },
+
+    async balance(circleMemberId) {
+      const result = await db.query(`
+        SELECT mc.credits_balance FROM member_credits mc
+        JOIN members m ON m.id = mc.member_id
+        WHERE m.circle_member_id = $1
+      `, [circleMemberId]);
+      return result.rows[0] ? result.rows[0].credits_balance : null;
+    },
+
+    logs() {
+      return logs.join('');
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+      await db.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await db.end();
+      mock.closeAllConnections();
+      await new Promise(resolve => mock.close(resolve));
+    }
+  };
+
+  try {
+    await waitForServer(baseUrl, child, logs);
+  } catch (error) {
+    await app.stop();
+    throw error;
+  }
+
+  return app;
+}
+
+module.exports = {
+  skipWithoutDatabase,
+  startTestApp
+};
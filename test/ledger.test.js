@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, startTestApp } = require('./helpers');
+const { flagDuplicateCreditHistory } = require('../lib/ledger-duplicates');
+
+// Mock Circle members (see mock/circle-mock-server.js)
+const ADMIN = 1001;
+const PRO_MEMBER = 1003;
+const FREE_MEMBER = 1004;
+
+describe('credit ledger', { skip: skipWithoutDatabase }, () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+
+    await app.db.query(`
+      INSERT INTO action_pricing (action_type, name, credits_cost_free, credits_cost_paid)
+      VALUES ('generate', 'Generate', 3, 1)
+    `);
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+  });
+
+  async function history(circleMemberId) {
+    const result = await app.db.query(`
+      SELECT ch.id, ch.change_type, ch.change_amount, ch.balance_after, ch.reference_id, ch.actor, ch.created_at
+      FROM credit_history ch
+      JOIN members m ON m.id = ch.member_id
+      WHERE m.circle_member_id = $1
+      ORDER BY ch.id
+    `, [circleMemberId]);
+    return result.rows;
+  }
+
+  it('writes exactly one row per balance change, with its context and actor', async () => {
+    const { session_token } = await app.signIn(FREE_MEMBER);
+    const spend = await app.request('POST', '/api/credits/spend', { token: session_token, body: { action_type: 'generate' } });
+    assert.equal(spend.status, 200);
+
+    const adjust = await app.request('POST', `/api/admin/adjust-credits/${FREE_MEMBER}`, {
+      token: await app.adminToken(ADMIN),
+      body: { amount: 4, reason: 'Ledger check' }
+    });
+    assert.equal(adjust.status, 200);
+
+    assert.deepEqual((await history(FREE_MEMBER)).map(({ id, created_at, ...row }) => row), [
+      { change_type: 'initial_grant', change_amount: 10, balance_after: 10, reference_id: null, actor: 'system' },
+      { change_type: 'action_cost', change_amount: -3, balance_after: 7, reference_id: String(spend.body.action_id), actor: 'member free@example.com' },
+      { change_type: 'manual_adjustment', change_amount: 4, balance_after: 11, reference_id: null, actor: 'admin admin@example.com' }
+    ]);
+  });
+
+  it('still logs balance changes made outside the app', async () => {
+    await app.db.query(`
+      UPDATE member_credits SET credits_balance = credits_balance - 1
+      WHERE member_id = (SELECT id FROM members WHERE circle_member_id = $1)
+    `, [FREE_MEMBER]);
+
+    const last = (await history(FREE_MEMBER)).pop();
+    assert.equal(last.change_type, 'credit_deduction');
+    assert.equal(last.change_amount, -1);
+    assert.equal(last.actor, null);
+  });
+
+  it('flags the rows the old trigger duplicated, once', async () => {
+    await app.signIn(PRO_MEMBER);
+    const [initialGrant] = await history(PRO_MEMBER);
+
+    // What the pre-0002 trigger wrote alongside the app's initial grant
+    const seeded = await app.db.query(`
+      INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, notes, created_at)
+      SELECT member_id, 0, 'initial_grant', 0, 'Initial credit grant for new member', created_at FROM credit_history WHERE id = $1
+      UNION ALL
+      SELECT member_id, change_amount, 'credit_addition', balance_after, 'Automatic log from credit balance change', created_at FROM credit_history WHERE id = $1
+      RETURNING id
+    `, [initialGrant.id]);
+    const [emptyRow, repeatRow] = seeded.rows.map(row => Number(row.id));
+
+    const report = await flagDuplicateCreditHistory(app.db);
+    assert.deepEqual(report.duplicates, [
+      { id: emptyRow, duplicate_of: Number(initialGrant.id), reason: 'empty_initial_grant' },
+      { id: repeatRow, duplicate_of: Number(initialGrant.id), reason: 'repeats' }
+    ]);
+    // The manual deduction above has no app row, so it stays in the ledger
+    assert.equal(report.unmatched.length, 1);
+    assert.equal(report.unmatched[0].change_type, 'credit_deduction');
+
+    const flaggedBefore = await app.db.query('SELECT COUNT(*)::int AS count FROM credit_history WHERE duplicate_of IS NOT NULL');
+    assert.equal(flaggedBefore.rows[0].count, 0, 'a report changes nothing');
+
+    await flagDuplicateCreditHistory(app.db, { apply: true });
+    const again = await flagDuplicateCreditHistory(app.db, { apply: true });
+    assert.deepEqual(again.duplicates, []);
+
+    const adminToken = await app.adminToken(ADMIN);
+    const listed = await app.request('GET', `/api/admin/credit-history?member=${PRO_MEMBER}`, { token: adminToken });
+    assert.deepEqual(listed.body.history.map(row => row.change_type), ['initial_grant']);
+
+    const everything = await app.request('GET', `/api/admin/credit-history?member=${PRO_MEMBER}&include_duplicates=true`, { token: adminToken });
+    assert.equal(everything.body.history.length, 3);
+  });
+
+  it('reports balances that drifted from the ledger and logs corrections under the admin\'s name', async () => {
+    const adminToken = await app.adminToken(ADMIN);
+
+    // Lose the spend row, so the ledger sums to 3 more than the balance
+    await app.db.query(`
+      DELETE FROM credit_history
+      WHERE change_type = 'action_cost' AND member_id = (SELECT id FROM members WHERE circle_member_id = $1)
+    `, [FREE_MEMBER]);
+
+    const report = await app.request('GET', '/api/admin/reconciliation', { token: adminToken });
+    assert.equal(report.status, 200);
+    assert.equal(report.body.summary.mismatches, 1);
+
+    const [mismatch] = report.body.mismatches;
+    assert.equal(mismatch.circle_member_id, String(FREE_MEMBER));
+    assert.equal(mismatch.credits_balance, 10);
+    assert.equal(mismatch.ledger_balance, 13);
+    assert.equal(mismatch.difference, -3);
+    assert.deepEqual(mismatch.rows.map(row => [row.change_type, row.balance_after, row.expected_balance_after]), [
+      ['manual_adjustment', 11, 14]
+    ]);
+
+    const missingReason = await app.request('POST', '/api/admin/reconciliation', { token: adminToken, body: {} });
+    assert.equal(missingReason.status, 400);
+
+    const correct = await app.request('POST', '/api/admin/reconciliation', {
+      token: adminToken,
+      body: { circle_member_ids: [FREE_MEMBER], reason: 'Lost spend row' }
+    });
+    assert.equal(correct.status, 200);
+    assert.deepEqual(correct.body.summary, { members_corrected: 1, total_difference: -3 });
+    assert.equal(await app.balance(FREE_MEMBER), 10, 'the balance members see is unchanged');
+
+    const last = (await history(FREE_MEMBER)).pop();
+    assert.equal(last.change_type, 'reconciliation');
+    assert.equal(last.change_amount, -3);
+    assert.equal(last.balance_after, 10);
+    assert.equal(last.actor, 'admin admin@example.com');
+
+    const after = await app.request('GET', `/api/admin/reconciliation?member=${FREE_MEMBER}`, { token: adminToken });
+    assert.deepEqual(after.body.summary, { members_checked: 1, mismatches: 0, total_difference: 0 });
+  });
+
+  it('leaves flagged duplicates out of the spending analytics', async () => {
+    const adminToken = await app.adminToken(ADMIN);
+    const { session_token } = await app.signIn(PRO_MEMBER);
+    const spend = await app.request('POST', '/api/credits/spend', { token: session_token, body: { action_type: 'generate' } });
+    assert.equal(spend.status, 200);
+
+    const spent = async () => {
+      const response = await app.request('GET', '/api/admin/analytics', { token: adminToken });
+      const total = series => Object.values(series).flat().reduce((sum, value) => sum + value, 0);
+      return [total(response.body.credits_spent.by_action_type), total(response.body.credits_spent.by_plan)];
+    };
+    const before = await spent();
+
+    // A copy of the spend row, flagged as the duplicate it is
+    await app.db.query(`
+      INSERT INTO credit_history (member_id, change_amount, change_type, balance_after, reference_id, notes, created_at, duplicate_of)
+      SELECT member_id, change_amount, change_type, balance_after, reference_id, notes, created_at, id
+      FROM credit_history
+      WHERE change_type = 'action_cost' AND reference_id = $1
+    `, [spend.body.action_id]);
+
+    assert.deepEqual(await spent(), before);
+  });
+});